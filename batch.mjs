@@ -0,0 +1,137 @@
+// Solving a form for every row of a table, such as a CSV of the stars in a cluster.
+// A table is a list of rows of text cells, the first row being the header
+
+import { data } from "./data.mjs"
+import { UnitError, compatible } from "./units.mjs"
+import { SolveError, find_form, solve } from "./engine.mjs"
+
+class CSVError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "CSVError"
+  }
+}
+
+// Commas, semicolons or tabs, whichever the header has most of
+const delimiter_of = (text) => {
+  const header = text.split(/\r?\n/, 1)[0]
+  return [",", ";", "\t"].reduce((best, d) => header.split(d).length > header.split(best).length ? d : best)
+}
+
+// Quoted cells may hold delimiters, newlines and doubled quotes, as in RFC 4180
+const parse_csv = (text, delimiter = delimiter_of(text)) => {
+  const rows = []
+  let row = [], cell = "", quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c == '"' && text[i + 1] == '"') cell += text[++i]
+      else if (c == '"') quoted = false
+      else cell += c
+    }
+    else if (c == '"' && cell == "") quoted = true
+    else if (c == delimiter) {
+      row.push(cell)
+      cell = ""
+    }
+    else if (c == "\n" || c == "\r") {
+      if (c == "\r" && text[i + 1] == "\n") i++
+      rows.push([...row, cell])
+      row = []
+      cell = ""
+    }
+    else cell += c
+  }
+  if (quoted) throw new CSVError("a quoted cell is never closed")
+  if (row.length || cell) rows.push([...row, cell])
+  // Blank lines hold nothing to solve
+  return rows.filter(r => r.some(cell => cell.trim() != ""))
+}
+
+const quote = (cell) => /[",;\t\r\n]/.test(cell) ? `"${cell.replaceAll('"', '""')}"` : cell
+
+const format_csv = (table) => table.map(row => row.map(cell => quote(String(cell ?? ""))).join(",")).join("\n") + "\n"
+
+const normalise = (name) => name.toLowerCase().replace(/[\s_\-'’]/g, "")
+
+// Split a header such as "distance (pc)" or "d [parsecs]" into its name and unit
+const header_unit = (cell) => {
+  const [, name, unit] = cell.trim().match(/^(.*?)\s*[(\[]([^)\]]*)[)\]]$/s) ?? [, cell.trim()]
+  return { name, unit }
+}
+
+// Match columns to variables by id or symbol, then loosely by name or catalog quantity,
+// taking the unit from the header. A header unit that is unknown, or that the variable
+// can't be in, is reported in `errors` by variable rather than read as the default unit
+const guess_columns = (form, header) => {
+  const columns = {}, units = {}, errors = {}
+  header.forEach((cell, i) => {
+    const { name, unit } = header_unit(cell)
+    const free = Object.entries(form.variables).filter(([v_id]) => !Object.hasOwn(columns, v_id))
+    const match = free.find(([v_id, v]) => name == v_id || name == v.symbol)
+      ?? free.find(([v_id, v]) => [v_id, v.symbol, v.name, v.quantity].some(n => n && normalise(n) == normalise(name)))
+    if (!match) return
+    const [v_id, v] = match
+    columns[v_id] = i
+    if (!unit) return
+    try {
+      if (compatible(unit, v.default_unit ?? v.unit)) units[v_id] = unit
+      else errors[v_id] = `column "${cell.trim()}": ${v.name} can't be in ${unit}`
+    } catch (error) {
+      if (!(error instanceof UnitError)) throw error
+      errors[v_id] = `column "${cell.trim()}": ${error.message}`
+    }
+  })
+  return { columns, units, errors }
+}
+
+// Solve for `target` in every row. `columns` maps variables to column indices, and `units`
+// gives the units of the columns and of the result. Variables without a column take their
+// current values. Returns { value, warnings } or { error } for each row
+const run_batch = (form_id, table, { columns = {}, units = {}, target, source = data } = {}) => {
+  const form = find_form(form_id, source)
+  if (!Object.hasOwn(form.variables, target)) throw new SolveError(`unknown variable "${target}" in form "${form_id}"`)
+  return table.slice(1).map(row => {
+    try {
+      const knowns = {}
+      for (const [v_id, column] of Object.entries(columns)) {
+        if (v_id == target) continue
+        const cell = (row[column] ?? "").trim()
+        if (cell == "") throw new SolveError(`no value for ${v_id}`)
+        if (!isFinite(cell)) throw new SolveError(`"${cell}" is not a number for ${v_id}`)
+        knowns[v_id] = units[v_id] ? [Number(cell), units[v_id]] : Number(cell)
+      }
+      const warnings = []
+      const result = solve(form_id, knowns, {
+        target,
+        units: units[target] ? { [target]: units[target] } : {},
+        source,
+        warn: ({ message }) => warnings.push(message),
+      })
+      return { value: result[target][0], warnings }
+    } catch (error) {
+      if (!(error instanceof SolveError || error instanceof UnitError)) throw error
+      return { error: error.message }
+    }
+  })
+}
+
+// The table with the results, and their errors or warnings, as two more columns
+const augment = (table, results, name) => [
+  [...table[0], name, `${name} error`],
+  ...table.slice(1).map((row, i) => [
+    ...row,
+    results[i].error ? "" : String(results[i].value),
+    results[i].error ?? results[i].warnings.join("; "),
+  ]),
+]
+
+export {
+  CSVError,
+  parse_csv,
+  format_csv,
+  header_unit,
+  guess_columns,
+  run_batch,
+  augment,
+}
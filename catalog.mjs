@@ -0,0 +1,111 @@
+// Reference objects whose quantities can fill in variables.
+// The bundled objects are in catalog.json, an object of objects by id:
+//   "sun": { "name": "Sun", "kind": "star", "mass": [1, "M⊙"], "apparent_magnitude": -26.74 }
+// Quantities are [value, unit] pairs, or plain numbers in the quantity's unit below.
+// Variables in data.mjs name the quantity they take with `quantity`
+
+import { UnitError, convert, compatible } from "./units.mjs"
+
+class CatalogError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "CatalogError"
+  }
+}
+
+// The quantities an object can have, and the unit of plain numbers
+const quantities = {
+  mass: { name: "mass", unit: "kg" },
+  radius: { name: "radius", unit: "m" },
+  diameter: { name: "diameter", unit: "m" },
+  luminosity: { name: "luminosity", unit: "W" },
+  temperature: { name: "temperature", unit: "K" },
+  distance: { name: "distance", unit: "m" },
+  parallax: { name: "parallax", unit: "arcsec" },
+  angular_diameter: { name: "angular diameter", unit: "rad" },
+  apparent_magnitude: { name: "apparent magnitude", unit: "" },
+  absolute_magnitude: { name: "absolute magnitude", unit: "" },
+  semi_major_axis: { name: "semi-major axis", unit: "m" },
+  eccentricity: { name: "eccentricity", unit: "" },
+  periapsis: { name: "periapsis", unit: "m" },
+  apoapsis: { name: "apoapsis", unit: "m" },
+  orbital_period: { name: "orbital period", unit: "s" },
+  pulsation_period: { name: "pulsation period", unit: "s" },
+  proper_motion: { name: "proper motion", unit: "arcsec/yr" },
+  radial_velocity: { name: "radial velocity", unit: "km/s" },
+}
+
+// Quantities worked out from others when an object doesn't give them, in the units above
+const derived = {
+  diameter: ({ radius }) => 2 * radius,
+  angular_diameter: ({ radius, distance }) => 2 * radius / distance,
+  parallax: ({ distance }) => 1 / convert(distance, "m", "pc"),
+  distance: ({ parallax }) => convert(1 / parallax, "pc", "m"),
+  periapsis: ({ semi_major_axis, eccentricity }) => semi_major_axis * (1 - eccentricity),
+  apoapsis: ({ semi_major_axis, eccentricity }) => semi_major_axis * (1 + eccentricity),
+}
+
+const DESCRIPTIVE = ["name", "kind", "description"]
+
+// Check a catalog read from JSON, and put its quantities in the units above.
+// `file` names the catalog in error messages
+const parse_catalog = (json, file = "catalog") => {
+  if (typeof json != "object" || !json || Array.isArray(json))
+    throw new CatalogError(`${file} should be an object of objects by id`)
+  return Object.fromEntries(Object.entries(json).map(([o_id, entry]) => {
+    const at = `${file}: "${o_id}"`
+    if (typeof entry != "object" || !entry) throw new CatalogError(`${at} should be an object`)
+    if (typeof entry.name != "string") throw new CatalogError(`${at} has no name`)
+    const values = {}
+    for (const [q_id, given] of Object.entries(entry)) {
+      if (DESCRIPTIVE.includes(q_id)) continue
+      if (!Object.hasOwn(quantities, q_id)) throw new CatalogError(`${at} has an unknown quantity "${q_id}"`)
+      const [value, unit = quantities[q_id].unit] = Array.isArray(given) ? given : [given]
+      if (typeof value != "number" || !isFinite(value)) throw new CatalogError(`${at}: ${q_id} is not a number`)
+      try {
+        if (!compatible(unit, quantities[q_id].unit))
+          throw new CatalogError(`${at}: "${unit}" is not a unit of ${quantities[q_id].name}`)
+        values[q_id] = convert(value, unit, quantities[q_id].unit)
+      } catch (error) {
+        if (!(error instanceof UnitError)) throw error
+        throw new CatalogError(`${at}: ${error.message}`)
+      }
+    }
+    return [o_id, { name: entry.name, kind: entry.kind, description: entry.description, values }]
+  }))
+}
+
+// Later catalogs add to and replace objects in earlier ones
+const merge = (...catalogs) => Object.assign({}, ...catalogs)
+
+// A quantity of an object in the unit above, or undefined if neither given nor derivable
+const quantity_of = (object, q_id) => {
+  if (Object.hasOwn(object.values, q_id)) return object.values[q_id]
+  if (!derived[q_id]) return undefined
+  const value = derived[q_id](object.values)
+  return isFinite(value) ? value : undefined
+}
+
+// The objects that have the quantity a variable takes, as [id, object]
+const objects_for = (catalog, variable) => variable.quantity
+  ? Object.entries(catalog).filter(([, object]) => quantity_of(object, variable.quantity) !== undefined)
+  : []
+
+// An object's quantity in a variable's default unit
+const value_for = (object, variable) => {
+  const value = variable.quantity ? quantity_of(object, variable.quantity) : undefined
+  if (value === undefined)
+    throw new CatalogError(`${object.name} has no ${quantities[variable.quantity]?.name ?? variable.name}`)
+  return convert(value, quantities[variable.quantity].unit, variable.default_unit ?? variable.unit)
+}
+
+export {
+  CatalogError,
+  quantities,
+  derived,
+  parse_catalog,
+  merge,
+  quantity_of,
+  objects_for,
+  value_for,
+}
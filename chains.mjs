@@ -0,0 +1,106 @@
+// Links from a variable in one form to a variable in another,
+// so that calculations can be chained across forms.
+// A link is { from: [group_id, form_id, variable_id], to: [group_id, form_id, variable_id] }
+
+import { data } from "./data.mjs"
+import { compatible, convert } from "./units.mjs"
+import { assign, recalculate, reorder } from "./engine.mjs"
+
+class LinkError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "LinkError"
+  }
+}
+
+const variable_at = (source, [g_id, f_id, v_id]) => source[g_id]?.forms[f_id]?.variables[v_id]
+const form_at = (source, [g_id, f_id]) => source[g_id]?.forms[f_id]
+
+const same_form = (a, b) => a[0] == b[0] && a[1] == b[1]
+const same_variable = (a, b) => same_form(a, b) && a[2] == b[2]
+
+// The link a variable takes its value from, if any
+const upstream = (links, to) => links.find(link => same_variable(link.to, to))
+
+// Links leaving a form
+const downstream = (links, from) => links.filter(link => same_form(link.from, from))
+
+// The variables of a form that take their values from links, which are never calculated
+const linked_in = (links, at) => links.filter(link => same_form(link.to, at)).map(link => link.to[2])
+
+// Whether `to` can be reached from `from` by following links
+const reaches = (links, from, to) => {
+  const seen = new Set()
+  const visit = (at) => {
+    if (same_form(at, to)) return true
+    const key = at.slice(0, 2).join("/")
+    if (seen.has(key)) return false
+    seen.add(key)
+    return downstream(links, at).some(link => visit(link.to))
+  }
+  return visit(from)
+}
+
+const add_link = (links, from, to, source = data) => {
+  const a = variable_at(source, from), b = variable_at(source, to)
+  if (!a) throw new LinkError(`unknown variable "${from.join("/")}"`)
+  if (!b) throw new LinkError(`unknown variable "${to.join("/")}"`)
+  if (same_form(from, to)) throw new LinkError("cannot link two variables of the same form")
+  if (!compatible(a.default_unit ?? a.unit, b.default_unit ?? b.unit))
+    throw new LinkError(`${a.name} (${a.unit || "no unit"}) and ${b.name} (${b.unit || "no unit"}) have different dimensions`)
+  if (upstream(links, to)) throw new LinkError(`${b.name} is already linked`)
+  if (reaches(links, to, from)) throw new LinkError("the link would make a loop")
+  return [...links, { from, to }]
+}
+
+const remove_link = (links, to) => links.filter(link => !same_variable(link.to, to))
+
+// Push values downstream from a form that changed, converting units along the way.
+// Linked variables become inputs of their forms, which are then recalculated.
+// Returns the forms that changed, as [group_id, form_id]
+const flow = (source, links, from) => {
+  const changed = []
+  const queue = [from]
+  while (queue.length) {
+    const at = queue.shift()
+    for (const link of downstream(links, at)) {
+      const a = variable_at(source, link.from), b = variable_at(source, link.to)
+      const form = form_at(source, link.to)
+      assign(b, convert(a.value, a.default_unit, b.default_unit))
+      reorder(form, link.to[2], linked_in(links, link.to))
+      recalculate(form, link.to[2])
+      changed.push(link.to.slice(0, 2))
+      queue.push(link.to)
+    }
+  }
+  return changed
+}
+
+// Every path of links from a form that nothing flows into
+const chains = (links) => {
+  const paths = []
+  const walk = (path) => {
+    const next = downstream(links, path.at(-1).to)
+    if (!next.length) return paths.push(path)
+    for (const link of next) walk([...path, link])
+  }
+  for (const link of links)
+    if (!links.some(other => same_form(other.to, link.from))) walk([link])
+  return paths
+}
+
+export {
+  LinkError,
+  variable_at,
+  form_at,
+  same_form,
+  same_variable,
+  upstream,
+  downstream,
+  linked_in,
+  reaches,
+  add_link,
+  remove_link,
+  flow,
+  chains,
+}
@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+import { readFileSync } from "node:fs"
+import { resolve } from "node:path"
+import { pathToFileURL } from "node:url"
+import { data } from "./data.mjs"
+import { UnitError, kinds, units_of_kind, parse as parse_unit, format_dimension } from "./units.mjs"
+import { SolveError, find_form, solve } from "./engine.mjs"
+import { validate } from "./validate.mjs"
+import { CatalogError, quantities, parse_catalog, merge, quantity_of, value_for } from "./catalog.mjs"
+import { PlotError, sweep, chart, svg_text } from "./plot.mjs"
+import { QuantityError, parse_quantity } from "./quantity.mjs"
+import { search, by_group } from "./search.mjs"
+import { DisplayError, display_settings, prefixed, format_number } from "./display.mjs"
+import { CustomFormError, add_custom, read_custom } from "./custom.mjs"
+import { PackError, add_packs } from "./pack.mjs"
+import { CSVError, parse_csv, format_csv, header_unit, guess_columns, run_batch, augment } from "./batch.mjs"
+
+const usage = `usage: astroformulatron <command> [options]
+
+commands:
+  list [search]             list every form by group, or those matching a search
+                            of names, descriptions, symbols and units
+  describe <form>           show a form's variables, units and default values
+  units [kind|unit]         list unit kinds, the units of one kind,
+                            or the SI value of a unit such as km/s/Mpc
+  solve <form> [knowns]     solve a form for one variable
+  batch <form> <file.csv>   solve a form for every row of a CSV file,
+                            printing the file with the results as a new column
+  plot <form>               sweep one variable over a range and chart another as SVG
+  catalog [object]          list the objects in the catalog, or one object's quantities
+  check                     check every form for mistakes
+
+solve options:
+  --<id> <value>            value of a known variable, which may be an expression
+                            with a unit, such as "4.2 ly" or "2*1.496e11"
+  --<id> @<object>          take a known variable from an object in the catalog
+  --<id>.unit <unit>        unit of a known variable, or of a result
+  --for <id>                variable to solve for (default: the first unknown)
+  --defaults                use default values for missing knowns
+  --digits <n>              round what is printed to n significant figures
+  --notation <name>         print in plain, scientific or engineering notation
+  --prefixes                print the result in an SI-prefixed unit, such as kiloparsecs
+                            (values are printed in full unless one of these three is given)
+
+batch options:
+  --<id> <column>           column, by header or number from 1, of a variable;
+                            columns named after variables are found by themselves
+  --<id>.unit <unit>        unit of a column, or of the results
+  --for <id>                variable to solve for (default: the first without a column)
+
+plot options:
+  --sweep <id>              variable to sweep, from --from <value> to --to <value>
+  --steps <n>               number of points (default: 60)
+  --log, --log-y            sweep logarithmically, or chart on a log scale
+  --for <id>                variable to chart (default: the first other than --sweep)
+  --family <id>             draw a curve for each of --values <a,b,...> of a third variable
+  --<id>.unit <unit>        unit of a variable on the chart
+
+options:
+  --catalog <file.json>     add the objects in another catalog
+  --forms <file.json>       add the custom forms downloaded from the app
+  --pack <file>             add the forms of a formula pack, JSON or an ES module
+                            (see pack.schema.json)
+  --json                    print JSON instead of plain text
+  --help                    print this message`
+
+const FLAGS = ["json", "defaults", "help", "log", "log-y", "prefixes"]
+
+// Split argv into positional arguments and --options
+// Values may start with "-" so that `--M -5` works
+const parse = (argv) => {
+  const args = [], options = {}
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith("--")) {
+      args.push(arg)
+      continue
+    }
+    const [name, value] = arg.slice(2).split(/=(.*)/s)
+    if (value !== undefined) options[name] = value
+    else if (FLAGS.includes(name)) options[name] = true
+    else if (i + 1 < argv.length) options[name] = argv[++i]
+    else throw new SolveError(`missing value for --${name}`)
+  }
+  return { args, options }
+}
+
+const read_catalog = (file) => {
+  try {
+    return parse_catalog(JSON.parse(readFileSync(file, "utf8")), file)
+  } catch (error) {
+    if (error instanceof CatalogError) throw error
+    throw new CatalogError(`could not read ${file}: ${error.message}`)
+  }
+}
+
+// The bundled catalog, and any other given with --catalog
+const load_catalog = (options) => merge(
+  read_catalog(new URL("./catalog.json", import.meta.url)),
+  ...(options.catalog ? [read_catalog(options.catalog)] : []),
+)
+
+// Custom forms downloaded from the app, given with --forms
+const load_forms = (file) => {
+  let text
+  try {
+    text = readFileSync(file, "utf8")
+  } catch (error) {
+    throw new CustomFormError(`could not read ${file}: ${error.message}`)
+  }
+  const [error] = add_custom(data, read_custom(text))
+  if (error) throw new CustomFormError(`${error.id}: ${error.message}`)
+}
+
+// A formula pack given with --pack: JSON, or a module whose default export is the pack
+const load_pack = async (file) => {
+  let json
+  try {
+    json = /\.m?js$/i.test(file)
+      ? (await import(pathToFileURL(resolve(file)).href)).default
+      : JSON.parse(readFileSync(file, "utf8"))
+  } catch (error) {
+    throw new PackError(`could not read ${file}: ${error.message}`)
+  }
+  const [error] = add_packs(data, [{ file, json }])
+  if (error) throw new PackError(error.message)
+}
+
+// Every form, or those matching a search, best first
+const list = (query = "") => Object.fromEntries(by_group(search(query)).map(({ group: g_id, results }) =>
+  [g_id, { name: data[g_id].name, forms: Object.fromEntries(results.map(
+    ({ form: f_id }) => [f_id, data[g_id].forms[f_id].name]
+  )) }]
+))
+
+const describe = (form_id) => {
+  const form = find_form(form_id)
+  return {
+    id: form_id,
+    name: form.name,
+    description: form.description,
+    order: form.order,
+    variables: Object.fromEntries(Object.entries(form.variables).map(([v_id, v]) =>
+      [v_id, { name: v.name, symbol: v.symbol, value: v.value, unit: v.unit || undefined, domain: v.domain }]
+    )),
+  }
+}
+
+const unit_table = (kind) => {
+  if (kind === undefined) return Object.keys(kinds)
+  if (Object.hasOwn(kinds, kind)) return units_of_kind(kind)
+  const { factor, dimension } = parse_unit(kind)
+  return { [kind]: `${factor} ${format_dimension(dimension)}` }
+}
+
+const catalog_table = (object_id, options) => {
+  const catalog = load_catalog(options)
+  if (object_id === undefined)
+    return Object.fromEntries(Object.entries(catalog).map(([o_id, o]) => [o_id, { name: o.name, kind: o.kind }]))
+  if (!Object.hasOwn(catalog, object_id)) throw new CatalogError(`unknown object "${object_id}"`)
+  const object = catalog[object_id]
+  return {
+    name: object.name,
+    kind: object.kind,
+    description: object.description,
+    quantities: Object.fromEntries(Object.keys(quantities)
+      .map(q_id => [q_id, quantity_of(object, q_id)])
+      .filter(([, value]) => value !== undefined)
+      .map(([q_id, value]) => [q_id, { value, unit: quantities[q_id].unit || undefined }])
+    ),
+  }
+}
+
+const run_solve = (form_id, options) => {
+  const form = find_form(form_id)
+  const knowns = {}, wanted = {}
+  let catalog
+  for (const [name, value] of Object.entries(options)) {
+    if (FLAGS.includes(name) || ["for", "catalog", "forms", "pack", "digits", "notation"].includes(name)) continue
+    const [v_id, field] = name.split(".")
+    if (!Object.hasOwn(form.variables, v_id) || (field !== undefined && field != "unit"))
+      throw new SolveError(`unknown option --${name} for form "${form_id}"`)
+    if (field == "unit") wanted[v_id] = value
+    else if (value.startsWith("@")) {
+      catalog ??= load_catalog(options)
+      if (!Object.hasOwn(catalog, value.slice(1))) throw new CatalogError(`unknown object "${value.slice(1)}" for --${name}`)
+      const object = catalog[value.slice(1)]
+      knowns[v_id] = value_for(object, form.variables[v_id])
+    }
+    else if (value.trim() != "" && isFinite(value)) knowns[v_id] = Number(value)
+    // Anything else is an expression, in the unit given for the variable unless it names its own
+    else {
+      const v = form.variables[v_id]
+      knowns[v_id] = parse_quantity(value, options[`${v_id}.unit`] ?? v.default_unit ?? v.unit)
+    }
+  }
+  // A unit given for a known applies to its value too, unless it came from the catalog
+  for (const v_id in knowns)
+    if (v_id in wanted && !options[v_id].startsWith("@")) knowns[v_id] = [knowns[v_id], wanted[v_id]]
+
+  const target = options.for
+  const warn = ({ message }) => console.error(`astroformulatron: warning: ${message}`)
+  const result = solve(form_id, knowns, { target, units: wanted, defaults: !!options.defaults, warn })
+  const solved = target ?? form.order.find(v_id => !Object.hasOwn(knowns, v_id)) ?? form.order[0]
+  return {
+    form: form_id,
+    target: solved,
+    values: Object.fromEntries(Object.entries(result).map(([v_id, [value, unit]]) =>
+      [v_id, { value, unit: unit || undefined, known: Object.hasOwn(knowns, v_id) }]
+    )),
+  }
+}
+
+const read_table = (file) => {
+  let text
+  try {
+    text = readFileSync(file, "utf8")
+  } catch (error) {
+    throw new CSVError(`could not read ${file}: ${error.message}`)
+  }
+  const table = parse_csv(text)
+  if (table.length < 2) throw new CSVError(`${file} has no rows below its header`)
+  return table
+}
+
+const run_batch_file = (form_id, file, options) => {
+  const form = find_form(form_id)
+  const table = read_table(file)
+  const { columns, units, errors } = guess_columns(form, table[0])
+  for (const [name, value] of Object.entries(options)) {
+    if (FLAGS.includes(name) || ["for", "forms", "pack"].includes(name)) continue
+    const [v_id, field] = name.split(".")
+    if (!Object.hasOwn(form.variables, v_id) || (field !== undefined && field != "unit"))
+      throw new SolveError(`unknown option --${name} for form "${form_id}"`)
+    delete errors[v_id]
+    if (field == "unit") {
+      units[v_id] = value
+      continue
+    }
+    const column = /^\d+$/.test(value)
+      ? Number(value) - 1
+      : table[0].findIndex(cell => cell.trim() == value || header_unit(cell).name == value)
+    if (!(column >= 0 && column < table[0].length)) throw new CSVError(`no column "${value}" in ${file} for --${name}`)
+    for (const [other, c] of Object.entries(columns)) if (c == column) delete columns[other]
+    columns[v_id] = column
+  }
+  const target = options.for ?? form.order.find(v_id => !Object.hasOwn(columns, v_id)) ?? form.order[0]
+  if (!Object.hasOwn(form.variables, target)) throw new SolveError(`unknown variable "${target}" in form "${form_id}"`)
+  const unread = Object.entries(errors).filter(([v_id]) => Object.hasOwn(columns, v_id) && v_id != target)
+  if (unread.length)
+    throw new CSVError(`${file}: ${unread.map(([v_id, message]) => `${message}; give the unit with --${v_id}.unit`).join("; ")}`)
+  const unit = units[target] ?? form.variables[target].unit
+  return {
+    form: form_id,
+    target,
+    unit: unit || undefined,
+    table,
+    results: run_batch(form_id, table, { columns, units, target }),
+  }
+}
+
+const PLOT_OPTIONS = ["sweep", "from", "to", "steps", "for", "family", "values"]
+
+const run_plot = (form_id, options) => {
+  const form = find_form(form_id)
+  const units = {}
+  for (const name of Object.keys(options)) {
+    if (FLAGS.includes(name) || ["forms", "pack"].includes(name) || PLOT_OPTIONS.includes(name)) continue
+    const [v_id, field] = name.split(".")
+    if (!Object.hasOwn(form.variables, v_id) || field != "unit") throw new SolveError(`unknown option --${name} for plot`)
+    units[v_id] = options[name]
+  }
+  if (options.sweep === undefined) throw new PlotError("missing --sweep <id> for plot")
+  const x = options.sweep
+  const y = options.for ?? form.order.find(v_id => v_id != x)
+  const values = options.values?.split(",").map(Number) ?? []
+  if (options.family && (!values.length || values.some(value => !isFinite(value))))
+    throw new PlotError("--family needs --values such as 1,2,5")
+  const curves = sweep(form_id, {
+    x, y,
+    from: Number(options.from),
+    to: Number(options.to),
+    steps: Number(options.steps ?? 60),
+    scale: options.log ? "log" : "linear",
+    units,
+    family: options.family ? { variable: options.family, values } : undefined,
+  })
+  const label = (v_id) => {
+    const unit = units[v_id] ?? form.variables[v_id].unit
+    return `${form.variables[v_id].symbol}: ${form.variables[v_id].name.trim()}${unit ? ` (${unit})` : ""}`
+  }
+  return {
+    form: form_id,
+    x, y,
+    curves,
+    svg: svg_text(chart(curves, {
+      x: { label: label(x), scale: options.log ? "log" : "linear" },
+      y: { label: label(y), scale: options["log-y"] ? "log" : "linear" },
+      legend: (value) => `${form.variables[options.family].symbol} = ${value}`,
+    })),
+  }
+}
+
+const print = {
+  list: (groups) => Object.values(groups).map(g =>
+    [g.name, ...Object.entries(g.forms).map(([f_id, name]) => `  ${f_id.padEnd(24)} ${name}`)].join("\n")
+  ).join("\n\n") || "no forms found",
+  describe: (f) => [
+    f.name,
+    ...(f.description ? [f.description] : []),
+    "",
+    ...Object.entries(f.variables).map(([v_id, v]) =>
+      `  --${v_id.padEnd(6)} ${v.symbol.padEnd(4)} ${v.name.trim().padEnd(28)} ${v.value} ${v.unit ?? ""}${v.domain ? `  in ${v.domain}` : ""}`.trimEnd()
+    ),
+  ].join("\n"),
+  units: (table) => Array.isArray(table)
+    ? table.join("\n")
+    : Object.entries(table).map(([unit, factor]) => `${unit.padEnd(32)} ${factor}`).join("\n"),
+  catalog: (table) => table.quantities
+    ? [
+      `${table.name}${table.kind ? ` (${table.kind})` : ""}`,
+      ...(table.description ? [table.description] : []),
+      "",
+      ...Object.entries(table.quantities).map(([q_id, { value, unit }]) => `  ${q_id.padEnd(20)} ${value} ${unit ?? ""}`.trimEnd()),
+    ].join("\n")
+    : Object.entries(table).map(([o_id, o]) => `${o_id.padEnd(24)} ${o.name}${o.kind ? ` (${o.kind})` : ""}`).join("\n"),
+  check: (failures) => failures.length
+    ? failures.map(f => `${f.group}/${f.form}${f.variable ? "/" + f.variable : ""}: ${f.check}: ${f.message}`).join("\n")
+    : "every form passed",
+  solve: (r, options) => {
+    const form = find_form(r.form)
+    const display = ["digits", "notation", "prefixes"].some(name => name in options) && display_settings(options)
+    return Object.entries(r.values).map(([v_id, { value, unit }]) => {
+      if (display && display.prefixes && v_id == r.target) ({ value, unit } = prefixed(value, unit, display.digits))
+      const shown = display ? format_number(value, display) : value
+      return `${v_id == r.target ? "=>" : "  "} ${form.variables[v_id].symbol.padEnd(4)} ${shown} ${unit ?? ""}`.trimEnd()
+    }).join("\n")
+  },
+  plot: (r) => r.svg,
+  batch: (r) => {
+    const symbol = find_form(r.form).variables[r.target].symbol
+    return format_csv(augment(r.table, r.results, symbol + (r.unit ? ` (${r.unit})` : ""))).trimEnd()
+  },
+}
+
+const main = async (argv) => {
+  const { args: [command, ...args], options } = parse(argv)
+  if (options.help || command === undefined) return { output: usage, code: command === undefined ? 2 : 0 }
+  if (options.pack !== undefined) await load_pack(options.pack)
+  if (options.forms !== undefined) load_forms(options.forms)
+
+  const commands = {
+    list: (...query) => list(query.join(" ")),
+    describe: (form_id) => describe(form_id),
+    units: (kind) => unit_table(kind),
+    solve: (form_id) => run_solve(form_id, options),
+    plot: (form_id) => run_plot(form_id, options),
+    batch: (form_id, file) => run_batch_file(form_id, file, options),
+    check: () => validate(),
+    catalog: (object_id) => catalog_table(object_id, options),
+  }
+  if (!Object.hasOwn(commands, command)) throw new SolveError(`unknown command "${command}"`)
+  if (["describe", "solve", "batch", "plot"].includes(command) && args[0] === undefined)
+    throw new SolveError(`missing form for ${command}`)
+  if (command == "batch" && args[1] === undefined) throw new CSVError("missing CSV file for batch")
+
+  const result = commands[command](...args)
+  return {
+    output: options.json ? JSON.stringify(result, null, 2) : print[command](result, options),
+    code: command == "check" && result.length ? 1 : 0,
+  }
+}
+
+try {
+  const { output, code } = await main(process.argv.slice(2))
+  console.log(output)
+  process.exitCode = code
+} catch (error) {
+  if (![SolveError, UnitError, CatalogError, CSVError, PlotError, QuantityError, DisplayError, CustomFormError, PackError].some(type => error instanceof type)) throw error
+  console.error(`astroformulatron: ${error.message}`)
+  process.exitCode = 1
+}
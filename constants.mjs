@@ -0,0 +1,124 @@
+// The physical constants used by the forms, with reference sets to choose between.
+// A constant set is { presets: { codata: "2018", hubble: "planck-2018" }, overrides: { G: 6.7e-11 } }.
+// Overrides take precedence over presets, which take precedence over the defaults in data.mjs
+
+import { constants, constant_units } from "./data.mjs"
+
+const defaults = { ...constants }
+
+const names = {
+  G: "gravitational constant",
+  STEFAN: "Stefan-Boltzmann constant",
+  WIEN: "Wien's displacement constant",
+  EDDINGTON: "Eddington luminosity per mass",
+  HUBBLE: "Hubble constant H₀",
+  LIGHT_SPEED: "speed of light",
+  ARCSEC_PER_RADIAN: "arcseconds per radian",
+  PROPER_MOTION: "speed of 1″/yr at 1 pc",
+  HUBBLE_TIME: "Hubble time for H₀ of 1 km/s/Mpc",
+}
+
+// How formulas show each constant. Conversion factors show their value, as textbooks do
+const symbols = {
+  PI: "π",
+  G: "G",
+  STEFAN: "σ",
+  WIEN: "b",
+  EDDINGTON: "k_Edd",
+  HUBBLE: "H_0",
+  LIGHT_SPEED: "c",
+  ARCSEC_PER_RADIAN: "206265",
+  PROPER_MOTION: "4.74",
+  HUBBLE_TIME: "977.8",
+}
+
+// Constants the units in units.mjs are built on, such as c, as and pc. They can't be overridden,
+// as the units would go on using the values they were made with
+const fixed = new Set(["LIGHT_SPEED", "ARCSEC_PER_RADIAN", "PROPER_MOTION", "HUBBLE_TIME"])
+
+// Each preset picks one of its options
+const presets = {
+  codata: {
+    name: "CODATA",
+    default: "2018",
+    options: {
+      "2018": { name: "2018", values: { G: 6.67430E-11, STEFAN: 5.670374419E-8, WIEN: 2.897771955E-3 } },
+      "2014": { name: "2014", values: { G: 6.67408E-11, STEFAN: 5.670367E-8, WIEN: 2.8977729E-3 } },
+    },
+  },
+  hubble: {
+    name: "H₀",
+    default: "70",
+    options: {
+      "70": { name: "70 (round)", values: { HUBBLE: 70 } },
+      "planck-2018": { name: "67.4 (Planck 2018)", values: { HUBBLE: 67.4 } },
+      "shoes-2022": { name: "73.0 (SH0ES 2022)", values: { HUBBLE: 73.04 } },
+    },
+  },
+}
+
+// The option chosen for every preset, falling back to the default for unknown ones
+const resolve_presets = (set) => Object.fromEntries(Object.entries(presets).map(([p_id, p]) => {
+  const chosen = set?.presets?.[p_id]
+  return [p_id, Object.hasOwn(p.options, chosen ?? "") ? chosen : p.default]
+}))
+
+const valid_overrides = (set) => Object.entries(set?.overrides ?? {})
+  .filter(([c_id, value]) => Object.hasOwn(names, c_id) && !fixed.has(c_id) && isFinite(value) && value !== null)
+
+// A constant set with every preset chosen and nothing unknown, which is the default set when given nothing
+const normalise = (set) => ({
+  presets: resolve_presets(set),
+  overrides: Object.fromEntries(valid_overrides(set)),
+})
+
+// The values of a constant set. Unknown presets, options and constants are left out
+const resolve = (set) => {
+  const values = { ...defaults }
+  for (const [p_id, o_id] of Object.entries(resolve_presets(set)))
+    Object.assign(values, presets[p_id].options[o_id].values)
+  for (const [c_id, value] of valid_overrides(set))
+    values[c_id] = Number(value)
+  return values
+}
+
+// Make a constant set the one the forms use
+const use = (set) => Object.assign(constants, resolve(set))
+
+// Constants brought by formula packs, as { c_id: { name, symbol, value, unit } }, in place of any
+// added before. They join the defaults, so constant sets can override them as well
+const added = new Set()
+const add_constants = (extra) => {
+  for (const c_id of added)
+    for (const table of [defaults, names, symbols, constants, constant_units]) delete table[c_id]
+  added.clear()
+  for (const [c_id, { name, symbol = c_id, value, unit = "" }] of Object.entries(extra)) {
+    defaults[c_id] = constants[c_id] = value
+    names[c_id] = name
+    symbols[c_id] = symbol
+    constant_units[c_id] = unit
+    added.add(c_id)
+  }
+}
+
+const is_default = (set) => JSON.stringify(normalise(set)) == JSON.stringify(normalise())
+
+// A short description, such as "CODATA 2014, H₀ 67.4 (Planck 2018), G = 6.7e-11"
+const describe_set = (set) => [
+  ...Object.entries(resolve_presets(set)).map(([p_id, o_id]) => `${presets[p_id].name} ${presets[p_id].options[o_id].name}`),
+  ...valid_overrides(set).map(([c_id, value]) => `${c_id} = ${value}`),
+].join(", ")
+
+export {
+  names,
+  symbols,
+  fixed,
+  presets,
+  normalise,
+  resolve,
+  resolve_presets,
+  use,
+  add_constants,
+  is_default,
+  describe_set,
+}
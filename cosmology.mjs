@@ -0,0 +1,119 @@
+// ΛCDM cosmology: distances and times out to a redshift, from numerical integrals of the
+// expansion history (Hogg 1999, arXiv:astro-ph/9905116). A cosmology is { H0, Ωm, ΩΛ, Ωk },
+// with H₀ in km/s/Mpc, and radiation left out. Ωk is 1 − Ωm − ΩΛ in a consistent cosmology:
+//   E(z)² = Ωm (1+z)³ + Ωk (1+z)² + ΩΛ
+// Distances are in megaparsecs and times in gigayears
+
+import { constants } from "./data.mjs"
+import { convert } from "./units.mjs"
+import { find_root } from "./roots.mjs"
+
+const PLANCK_2018 = { H0: 67.4, Ωm: 0.315, ΩΛ: 0.685, Ωk: 0 }
+
+const TOLERANCE = 1e-10
+const MAX_DEPTH = 20
+
+// Adaptive Simpson's rule, splitting each interval until its halves agree
+const integrate = (f, a, b, tolerance = TOLERANCE) => {
+  const simpson = (a, fa, b, fb) => {
+    const m = (a + b) / 2, fm = f(m)
+    return { m, fm, area: (b - a) / 6 * (fa + 4 * fm + fb) }
+  }
+  const step = (a, fa, b, fb, { m, fm, area }, tolerance, depth) => {
+    const left = simpson(a, fa, m, fm), right = simpson(m, fm, b, fb)
+    const delta = left.area + right.area - area
+    // An integrand that isn't finite won't settle, however far it is split
+    if (!isFinite(delta)) return NaN
+    if (depth <= 0 || Math.abs(delta) <= 15 * tolerance) return left.area + right.area + delta / 15
+    return step(a, fa, m, fm, left, tolerance / 2, depth - 1) + step(m, fm, b, fb, right, tolerance / 2, depth - 1)
+  }
+  const fa = f(a), fb = f(b)
+  return step(a, fa, b, fb, simpson(a, fa, b, fb), tolerance, MAX_DEPTH)
+}
+
+// The integrals run over s = √a = 1/√(1+z), which keeps them finite and smooth up to the Big Bang.
+// In s, 1/(a² E) da = 2 w(s) ds and 1/(a E) da = 2 s² w(s) ds, with
+const weight = ({ Ωm, ΩΛ, Ωk }) => (s) => 1 / Math.sqrt(Ωm + Ωk * s ** 2 + ΩΛ * s ** 6)
+const s_of = (z) => 1 / Math.sqrt(1 + z)
+
+// c/H₀ in megaparsecs, and 1/H₀ in gigayears
+const hubble_distance = ({ H0 }) => convert(constants.LIGHT_SPEED, "m/s", "km/s") / H0
+const hubble_time = ({ H0 }) => constants.HUBBLE_TIME / H0
+
+const finite = (x) => isFinite(x) ? x : NaN
+
+const comoving_distance = (z, cosmology) => {
+  const w = weight(cosmology)
+  return finite(hubble_distance(cosmology) * integrate(s => 2 * w(s), s_of(z), 1))
+}
+
+// Comoving distance across the sky, curved by Ωk
+const transverse_comoving_distance = (z, cosmology) => {
+  const d_h = hubble_distance(cosmology), x = comoving_distance(z, cosmology) / d_h
+  const k = Math.sqrt(Math.abs(cosmology.Ωk))
+  return d_h * (cosmology.Ωk > 0 ? Math.sinh(k * x) / k : cosmology.Ωk < 0 ? Math.sin(k * x) / k : x)
+}
+
+const luminosity_distance = (z, cosmology) => (1 + z) * transverse_comoving_distance(z, cosmology)
+const angular_diameter_distance = (z, cosmology) => transverse_comoving_distance(z, cosmology) / (1 + z)
+
+const lookback_time = (z, cosmology) => {
+  const w = weight(cosmology)
+  return finite(hubble_time(cosmology) * integrate(s => 2 * s ** 2 * w(s), s_of(z), 1))
+}
+
+// How far light has travelled since it left, c times the lookback time
+const light_travel_distance = (z, cosmology) => lookback_time(z, cosmology) / hubble_time(cosmology) * hubble_distance(cosmology)
+
+// The age of the universe when light at redshift z left, and today at z = 0.
+// Without matter, s² w(s) is 0 × ∞ at the Big Bang, so its limit is taken there: 0 with curvature,
+// as in the empty (Milne) universe, and none without, as in de Sitter space, which has no beginning
+const cosmic_age = (z, cosmology) => {
+  const w = weight(cosmology)
+  const start = cosmology.Ωm > 0 || cosmology.Ωk > 0 ? 0 : NaN
+  return finite(hubble_time(cosmology) * integrate(s => s == 0 ? start : 2 * s ** 2 * w(s), 0, s_of(z)))
+}
+
+const distance_modulus = (z, cosmology) => 5 * Math.log10(luminosity_distance(z, cosmology)) + 25
+
+const measures = {
+  comoving_distance,
+  transverse_comoving_distance,
+  luminosity_distance,
+  angular_diameter_distance,
+  light_travel_distance,
+  lookback_time,
+  cosmic_age,
+  distance_modulus,
+}
+
+// The redshift at which a measure has a value, as
+//   redshift_for("luminosity_distance", 6600, PLANCK_2018) ≈ 1
+// Angular-diameter distances peak near z = 1.6, so those below the peak have two redshifts;
+// the one nearer `guess` is found. Returns NaN when there is none
+const redshift_for = (measure, value, cosmology, guess = 1) =>
+  find_root(z => measures[measure](z, cosmology) - value, guess, { min: 0 })
+
+// The measures as functions of expression.mjs, with the cosmology as arguments:
+//   luminosity_distance(z, H0, Ωm, ΩΛ, Ωk)
+const cosmology_functions = Object.fromEntries(Object.entries(measures).map(([name, measure]) =>
+  [name, (z, H0, Ωm, ΩΛ, Ωk) => measure(z, { H0, Ωm, ΩΛ, Ωk })]
+))
+
+export {
+  PLANCK_2018,
+  integrate,
+  hubble_distance,
+  hubble_time,
+  comoving_distance,
+  transverse_comoving_distance,
+  luminosity_distance,
+  angular_diameter_distance,
+  light_travel_distance,
+  lookback_time,
+  cosmic_age,
+  distance_modulus,
+  measures,
+  redshift_for,
+  cosmology_functions,
+}
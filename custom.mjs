@@ -0,0 +1,156 @@
+// Forms defined in the app rather than in data.mjs. A definition is plain JSON:
+//   { id: "escape-velocity", name: "Escape Velocity", description: "...", equation: "v^2 = 2*G*M/r",
+//     variables: [{ id: "v", name: "escape velocity", symbol: "v", value: 11186, unit: "meters/second" }, ...] }
+// Forms have either one equation, or a `formula` for every variable in place of it.
+// Formulas are expressions of expression.mjs, evaluated as trees and never run as code.
+// Values are in the units given, and the first variable is the one calculated at first
+
+import { constants } from "./data.mjs"
+import { UnitError, parse as parse_unit } from "./units.mjs"
+import { ExpressionError, functions, parse, evaluate, names } from "./expression.mjs"
+import { VERSION } from "./workspace.mjs"
+import { prepare_form } from "./engine.mjs"
+
+class CustomFormError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "CustomFormError"
+  }
+}
+
+const GROUP = "custom"
+const FORMAT = "astroformulatron-custom-forms"
+
+// Ids are keys of plain objects, where __proto__ would set the prototype
+const NAME = /^(?!__proto__$)[\p{L}_][\p{L}\p{N}_]*$/u
+
+// A form id from its name, as "escape-velocity" for "Escape Velocity"
+const slug = (name) => String(name).normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "")
+
+const expression = (source, what) => {
+  try {
+    return parse(source)
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error
+    throw new CustomFormError(`${what}: ${error.message}`)
+  }
+}
+
+// Formulas are called as those of data.mjs are, and keep their tree for math.mjs to show
+const formula_of = (tree) => Object.assign((values, constants) => evaluate(tree, { ...constants, ...values }), { tree })
+
+// A form as in data.mjs, not yet prepared, from a definition.
+// Throws a CustomFormError at the first mistake
+const build_form = (definition) => {
+  const { name, description, equation, variables } = definition ?? {}
+  if (typeof name != "string" || !name.trim()) throw new CustomFormError("a form needs a name")
+  if (!Array.isArray(variables) || variables.length < 2) throw new CustomFormError(`${name} needs at least two variables`)
+
+  const ids = variables.map(v => v?.id)
+  ids.forEach((id, i) => {
+    if (typeof id != "string" || !NAME.test(id))
+      throw new CustomFormError(`variable ${i + 1} needs an id of letters, digits and _ that doesn't start with a digit, other than __proto__`)
+    if (Object.hasOwn(functions, id) || Object.hasOwn(constants, id)) throw new CustomFormError(`"${id}" is already the name of a function or constant`)
+    if (ids.indexOf(id) != i) throw new CustomFormError(`two variables are called "${id}"`)
+  })
+  const known = (tree, what) => {
+    for (const name of names(tree))
+      if (!ids.includes(name) && !Object.hasOwn(constants, name)) throw new CustomFormError(`${what}: unknown name "${name}"`)
+    return tree
+  }
+
+  const form = {
+    name: name.trim(),
+    ...(typeof description == "string" && description.trim() && { description: description.trim() }),
+    order: [...ids],
+    variables: {},
+  }
+  for (const v of variables) {
+    const what = `variable ${v.id}`
+    if (typeof v.value == "string" ? !v.value.trim() || !isFinite(v.value) : !Number.isFinite(v.value))
+      throw new CustomFormError(`${what} needs a number as its default value`)
+    const unit = typeof v.unit == "string" ? v.unit.trim() : ""
+    try {
+      parse_unit(unit)
+    } catch (error) {
+      if (!(error instanceof UnitError)) throw error
+      throw new CustomFormError(`${what}: ${error.message}`)
+    }
+    form.variables[v.id] = {
+      name: String(v.name ?? "").trim() || v.id,
+      symbol: String(v.symbol ?? "").trim() || v.id,
+      value: Number(v.value),
+      ...(unit && { unit }),
+    }
+    if (equation) continue
+    if (typeof v.formula != "string" || !v.formula.trim()) throw new CustomFormError(`${what} needs a formula, or the form an equation`)
+    const tree = known(expression(v.formula, what), what)
+    if (tree.type == "equation") throw new CustomFormError(`${what}: a formula is only the right-hand side, without "="`)
+    if (names(tree).has(v.id)) throw new CustomFormError(`${what}: the formula can't use ${v.id} itself`)
+    form.variables[v.id].formula = formula_of(tree)
+  }
+
+  if (equation) {
+    if (typeof equation != "string") throw new CustomFormError("the equation should be text")
+    const tree = known(expression(equation, "equation"), "equation")
+    if (tree.type != "equation") throw new CustomFormError('the equation needs an "="')
+    const missing = ids.find(id => !names(tree).has(id))
+    if (missing) throw new CustomFormError(`the equation doesn't use ${missing}`)
+    form.equation = equation.trim()
+  }
+  return form
+}
+
+// Put custom forms into their own group of `source`, in place of any there before.
+// Definitions that can't be built, or whose id another group has, are left out,
+// and a group of that id from a pack is never written over.
+// Returns the mistakes, as [{ id, message }]
+const add_custom = (source, definitions) => {
+  if (source[GROUP]?.pack)
+    return definitions.map(definition => ({ id: definition?.id, message: `the group "${GROUP}" belongs to the pack "${source[GROUP].pack}"` }))
+  const forms = {}, errors = []
+  for (const definition of definitions) {
+    const id = definition?.id
+    try {
+      if (typeof id != "string" || !id || slug(id) != id) throw new CustomFormError("a form needs an id of lower-case words joined by -")
+      if (Object.hasOwn(forms, id) || Object.entries(source).some(([g_id, g]) => g_id != GROUP && Object.hasOwn(g.forms, id)))
+        throw new CustomFormError(`there is already a form called "${id}"`)
+      forms[id] = prepare_form(build_form(definition))
+    } catch (error) {
+      if (!(error instanceof CustomFormError)) throw error
+      errors.push({ id, message: error.message })
+    }
+  }
+  if (Object.keys(forms).length) source[GROUP] = { name: "Custom Forms", forms }
+  else delete source[GROUP]
+  return errors
+}
+
+// Custom forms as a file to share
+const write_custom = (definitions) => JSON.stringify({ format: FORMAT, version: VERSION, forms: definitions }, null, 2) + "\n"
+
+// The definitions in a shared file, each checked
+const read_custom = (text) => {
+  let saved
+  try {
+    saved = JSON.parse(text)
+  } catch (error) {
+    throw new CustomFormError(`not JSON: ${error.message}`)
+  }
+  if (saved?.format != FORMAT || !Array.isArray(saved.forms)) throw new CustomFormError("not custom forms saved by astroformulatron")
+  const errors = add_custom({}, saved.forms)
+  if (errors.length) throw new CustomFormError(errors.map(({ id, message }) => `${id ?? "a form"}: ${message}`).join("; "))
+  return saved.forms
+}
+
+export {
+  CustomFormError,
+  GROUP,
+  slug,
+  formula_of,
+  build_form,
+  add_custom,
+  write_custom,
+  read_custom,
+}
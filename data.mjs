@@ -1,15 +1,37 @@
-const inrange = (a, x, b) => (a <= x) && (x <= b)
 const log10 = (x) => Math.log(x) / Math.log(10)
 const sqrt = (x) => Math.sqrt(x)
 const cbrt = (x) => Math.cbrt(x)
 
 const PI = Math.PI
-const G = 6.6743E-11 // SI
-const STEFAN = 5.670374419E-8 // SI
-const WIEN = 2.897771955E-3 // SI
-const EDDINGTON = 3.2E4 // solar units
-const HUBBLE = 70 // km/s/Mpc
-const LIGHT_SPEED = 299792458 // SI
+
+// Names available to equations, and to formulas as their second argument.
+// These are the defaults; constants.mjs changes them in place
+export const constants = {
+  PI,
+  G: 6.6743E-11, // SI
+  STEFAN: 5.670374419E-8, // SI
+  WIEN: 2.897771955E-3, // SI
+  EDDINGTON: 3.2E4, // solar units
+  HUBBLE: 70, // km/s/Mpc
+  LIGHT_SPEED: 299792458, // SI
+  ARCSEC_PER_RADIAN: 180 * 60 * 60 / PI,
+  PROPER_MOTION: 4.740470463533348, // km/s for 1 arcsecond/year at 1 parsec
+  HUBBLE_TIME: 977.7922216807892, // Gyr for a Hubble constant of 1 km/s/Mpc
+}
+
+// Units of the constants, for checking that formulas are dimensionally consistent
+export const constant_units = {
+  PI: "",
+  G: "m^3 kg^-1 s^-2",
+  STEFAN: "W m^-2 K^-4",
+  WIEN: "m K",
+  EDDINGTON: "L⊙/M⊙",
+  HUBBLE: "km/s/Mpc",
+  LIGHT_SPEED: "m/s",
+  ARCSEC_PER_RADIAN: "arcsec/rad",
+  PROPER_MOTION: "km s^-1 arcsec^-1 yr pc^-1",
+  HUBBLE_TIME: "Gyr km/s/Mpc",
+}
 
 export const data = {
   "stellar-relations": {
@@ -18,18 +40,21 @@ export const data = {
       "distance-modulus": {
         name: "distance modulus",
         description: "relates the distance of an object to the difference between its apparent and absolute magnitudes",
+        dimensional: false, // holds only in the units given
         order: [ "d" , "M", "m" ],
         variables: {
           m: {
             name: "apparent magnitude",
             symbol: "m",
             value: 5,
+            quantity: "apparent_magnitude",
             formula: ({ d, M }) => ( (5*log10(d) - 5) + M ),
           },
           M: {
             name: "absolute magnitude",
             symbol: "M",
             value: -5,
+            quantity: "absolute_magnitude",
             formula: ({ d, m }) => ( m - (5*log10(d) - 5) ),
           },
           d: {
@@ -37,6 +62,8 @@ export const data = {
             symbol: "d",
             value: 1000,
             unit: "parsecs",
+            quantity: "distance",
+            domain: "(0, ∞)",
             formula: ({ m, M }) => ( 10 ** ((m - M + 5) / 5) ),
           },
         },
@@ -44,6 +71,7 @@ export const data = {
       "small-angle": {
         name: "small angle formula",
         description: "relates the distance of an object by the ratio of its angular and linear diameters",
+        equation: "θ = ARCSEC_PER_RADIAN*d/D",
         order: [ "D", "d", "θ" ],
         variables: {
           θ: {
@@ -51,27 +79,31 @@ export const data = {
             symbol: "θ",
             value: 10,
             unit: "arcseconds",
-            formula: ({ d, D }) => ( 206265*d/D ),
+            quantity: "angular_diameter",
+            domain: "(0, ∞)",
           },
           d: {
             name: "linear diameter",
             symbol: "d",
             value: 5,
             unit: "centimeters",
-            formula: ({ θ, D }) => ( θ*D/206265 ),
+            quantity: "diameter",
+            domain: "(0, ∞)",
           },
           D: {
             name: "distance",
             symbol: "D",
             value: 1e5,
             unit: "centimeters",
-            formula: ({ θ, d }) => ( d*206265/θ )
+            quantity: "distance",
+            domain: "(0, ∞)",
           },
         },
       },
       "parallax": {
         name: "parallax distance",
         description: "relates the distance of an object by its parallax",
+        dimensional: false, // holds only in the units given
         order: [ "p", "d" ],
         variables: {
           d: {
@@ -79,6 +111,8 @@ export const data = {
             symbol: "d",
             value: 10,
             unit: "parsecs",
+            quantity: "distance",
+            domain: "(0, ∞)",
             formula: ({ p }) => ( 1/p ),
           },
           p: {
@@ -86,6 +120,8 @@ export const data = {
             symbol: "p",
             value: 0.1,
             unit: "arcseconds",
+            quantity: "parallax",
+            domain: "(0, ∞)",
             formula: ({ d }) => ( 1/d ),
           },
         },
@@ -100,6 +136,8 @@ export const data = {
             symbol: "L₁",
             value: 3e+11,
             unit: "watts",
+            quantity: "luminosity",
+            domain: "(0, ∞)",
             formula: ({ L2, M2, M1 }) => ( L2 * (100 ** ((M2 - M1) / 5)) ),
           },
           L2: {
@@ -107,6 +145,8 @@ export const data = {
             symbol: "L₂",
             value: 3e+8,
             unit: "watts",
+            quantity: "luminosity",
+            domain: "(0, ∞)",
             formula: ({ L1, M2, M1 }) => ( L1 / (100 ** ((M2 - M1) / 5)) ),
           },
           M1: {
@@ -114,6 +154,7 @@ export const data = {
             symbol: "M₁",
             value: 1e+1,
             unit: "",
+            quantity: "absolute_magnitude",
             formula: ({ L1, L2, M2 }) => ( M2 - 2.5 * log10(L1 / L2) ),
           },
           M2: {
@@ -121,6 +162,7 @@ export const data = {
             symbol: "M₂",
             value: 1.5e+1,
             unit: "",
+            quantity: "absolute_magnitude",
             formula: ({ L1, L2, M1 }) => ( M1 + 2.5 * log10(L1 / L2) ),
           },
         },
@@ -128,6 +170,13 @@ export const data = {
       "mass-luminosity": {
         name: "mass-luminosity relation, main-sequence",
         description: "relates a main-sequence star's mass to its luminosity",
+        pieces: [
+          { when: { M: "[0, 0.43)" }, equation: "L = 0.23*M^2.3" },
+          { when: { M: "[0.43, 2)" }, equation: "L = M^4" },
+          { when: { M: "[2, 55)" }, equation: "L = 1.4*M^3.5" },
+          { when: { M: "[55, 1000]" }, equation: "L = 32000*M" },
+        ],
+        dimensional: false, // holds only in the units given
         order: [ "M", "L" ],
         variables: {
           L: {
@@ -135,21 +184,16 @@ export const data = {
             symbol: "L",
             value: 10,
             unit: "L⊙",
-            formula: ({ M }) => ( 
-                inrange(0.00, M, 0.43) ? 0.23 * (M ** 2.3)
-              : inrange(0.43, M, 2.00) ? 1.00 * (M ** 4.0)
-              : inrange(2.00, M, 55.0) ? 1.40 * (M ** 3.5)
-              : inrange(55.0, M, 1000) ? 32000 * (M ** 1.0)
-              : NaN
-            ), // TODO: implement
-            formula: ({ M }) => 1.40 * (M ** 3.5)
+            quantity: "luminosity",
+            domain: "[0, ∞)",
           },
           M: {
             name: "mass",
             symbol: "M",
             value: 10,
             unit: "M⊙",
-            formula: ({ L }) => ( (L/1.40) ** (1/3.5) ),
+            quantity: "mass",
+            domain: "[0, 1000]",
           },
         },
       },
@@ -163,21 +207,27 @@ export const data = {
             symbol: "L",
             value: 10,
             unit: "watts",
-            formula: ({ R, T }) => ( 4 * PI * (R**2) * STEFAN * (T**4)),
+            quantity: "luminosity",
+            domain: "(0, ∞)",
+            formula: ({ R, T }, { STEFAN }) => ( 4 * PI * (R**2) * STEFAN * (T**4)),
           },
           R: {
             name: "radius",
             symbol: "R",
             value: 10,
             unit: "meters",
-            formula: ({ L, T }) => ( sqrt(L / (4 * PI * STEFAN * (T**4))) ),
+            quantity: "radius",
+            domain: "(0, ∞)",
+            formula: ({ L, T }, { STEFAN }) => ( sqrt(L / (4 * PI * STEFAN * (T**4))) ),
           },
           T: {
             name: "temperature",
             symbol: "T",
             value: 10,
-            unit: "meters",
-            formula: ({ R, L }) => ( (L / (4 * PI * (R**2) * STEFAN)) ** (1/4) ),
+            unit: "kelvins",
+            quantity: "temperature",
+            domain: "(0, ∞)",
+            formula: ({ R, L }, { STEFAN }) => ( (L / (4 * PI * (R**2) * STEFAN)) ** (1/4) ),
           },
         },
       },
@@ -191,14 +241,17 @@ export const data = {
             symbol: "λ",
             value: 0.05,
             unit: "meters",
-            formula: ({ T }) => ( WIEN / T ),
+            domain: "(0, ∞)",
+            formula: ({ T }, { WIEN }) => ( WIEN / T ),
           },
           T: {
             name: "temperature",
             symbol: "T",
             value: 0.06,
             unit: "kelvins",
-            formula: ({ λ }) => ( WIEN / λ ),
+            quantity: "temperature",
+            domain: "(0, ∞)",
+            formula: ({ λ }, { WIEN }) => ( WIEN / λ ),
           },
         },
       },
@@ -212,19 +265,24 @@ export const data = {
             symbol: "L",
             value: 32000,
             unit: "L⊙",
-            formula: ({ M }) => ( EDDINGTON * M ),
+            quantity: "luminosity",
+            domain: "[0, ∞)",
+            formula: ({ M }, { EDDINGTON }) => ( EDDINGTON * M ),
           },
           M: {
             name: "mass",
             symbol: "M",
             value: 1,
             unit: "M⊙",
-            formula: ({ L }) => ( L / EDDINGTON ),
+            quantity: "mass",
+            domain: "[0, 1000]",
+            formula: ({ L }, { EDDINGTON }) => ( L / EDDINGTON ),
           },
         },
       },
       "leavitt-classical": {
         name: "period-luminosity relation (Leavitt Law), Classical Cepheids",
+        dimensional: false, // holds only in the units given
         order: [ "P", "Mv" ],
         variables: {
           Mv: {
@@ -232,6 +290,7 @@ export const data = {
             symbol: "Mᵥ",
             value: -4.05,
             unit: "",
+            quantity: "absolute_magnitude",
             formula: ({ P }) => ( -2.43 * (log10(P) - 1) - 4.05 ),
           },
           P: {
@@ -239,12 +298,15 @@ export const data = {
             symbol: "P",
             value: 10,
             unit: "days",
+            quantity: "pulsation_period",
+            domain: "(0, ∞)",
             formula: ({ Mv }) => ( 10 ** ((Mv + 4.05)/(-2.43) + 1) ),
           },
         },
       },
       "leavitt-ii": {
         name: "period-luminosity relation (Leavitt Law), Type II Cepheids",
+        dimensional: false, // holds only in the units given
         order: [ "P", "Mv" ],
         variables: {
           Mv: {
@@ -252,6 +314,7 @@ export const data = {
             symbol: "Mᵥ",
             value: -2.66,
             unit: "",
+            quantity: "absolute_magnitude",
             formula: ({ P }) => ( -2.81 * log10(P) + 0.15 ),
           },
           P: {
@@ -259,13 +322,16 @@ export const data = {
             symbol: "P",
             value: 10,
             unit: "days",
-            formula: ({ Mv }) => ( 10 ** ((Mv + 0.15)/(-2.81)) ),
+            quantity: "pulsation_period",
+            domain: "(0, ∞)",
+            formula: ({ Mv }) => ( 10 ** ((Mv - 0.15)/(-2.81)) ),
           },
         },
       },
       "lifespan": {
         name: "lifespan",
         description: "relates the lifespan of a main-sequence star to its mass",
+        dimensional: false, // holds only in the units given
         order: [ "M", "t" ],
         variables: {
           t: {
@@ -273,6 +339,7 @@ export const data = {
             symbol: "t",
             value: 1e+10,
             unit: "years",
+            domain: "(0, ∞)",
             formula: ({ M }) => ( (M ** 2.5) * 1e+10 ),
           },
           M: {
@@ -280,6 +347,8 @@ export const data = {
             symbol: "M",
             value: 1e+1,
             unit: "M⊙",
+            quantity: "mass",
+            domain: "[0, 1000]",
             formula: ({ t }) => ( (t*1e-10) ** (1/2.5) ),
           },
         },
@@ -313,6 +382,8 @@ export const data = {
             symbol: "m₁",
             value: 1,
             unit: "kilograms",
+            quantity: "mass",
+            domain: "[0, ∞)",
             formula: ({ m2, x1, x2, X }) => ( m2 * (x2 - X) / (X - x1) ),
           },
           m2: {
@@ -320,6 +391,8 @@ export const data = {
             symbol: "m₂",
             value: 1,
             unit: "kilograms",
+            quantity: "mass",
+            domain: "[0, ∞)",
             formula: ({ m1, x1, x2, X }) => ( m1 * (x1 - X) / (X - x2) ),
           },          
           µ: {
@@ -327,6 +400,7 @@ export const data = {
             symbol: "µ",
             value: 5e-1,
             unit: "kilograms",
+            domain: "[0, ∞)",
             formula: ({ m1, m2 }) => ( m1*m2 / (m1+m2) ),
           },
           X: {
@@ -341,6 +415,7 @@ export const data = {
       "newton-gravitation": {
         name: "Newton's Law of Universal Gravitation",
         description: "relates the force of gravity between two objects to their masses and distance",
+        equation: "F = G*m1*m2/r^2",
         order: [ "F", "r", "m1", "m2" ],
         variables: {
           m1: {
@@ -348,28 +423,31 @@ export const data = {
             symbol: "m₁",
             value: 1,
             unit: "kilograms",
-            formula: ({ m2, F, r }) => ( F*r*r/G/m2 ),
+            quantity: "mass",
+            domain: "[0, ∞)",
           },
           m2: {
             name: "2's mass",
             symbol: "m₂",
             value: 2e15,
             unit: "kilograms",
-            formula: ({ m1, F, r }) => ( F*r*r/G/m1 ),
+            quantity: "mass",
+            domain: "[0, ∞)",
           },          
           r: {
             name: "distance",
             symbol: "r",
             value: 60,
             unit: "meters",
-            formula: ({ m1, m2, F }) => ( Math.sqrt(G*m1*m2/F) ),
+            quantity: "distance",
+            domain: "(0, ∞)",
           },
           F: {
             name: "gravitational force",
             symbol: "F",
             value: 37,
             unit: "newtons",
-            formula: ({ m1, m2, r }) => ( G*m1*m2/r/r ),
+            domain: "[0, ∞)",
           },
         },
       },
@@ -383,6 +461,8 @@ export const data = {
             symbol: "rₐ",
             value: 3,
             unit: "kilometers",
+            quantity: "apoapsis",
+            domain: "(0, ∞)",
             formula: ({ e, rp }) => ( rp * (1+e)/(1-e) ),
           },
           rp: {
@@ -390,6 +470,8 @@ export const data = {
             symbol: "rₚ",
             value: 1,
             unit: "kilometers",
+            quantity: "periapsis",
+            domain: "(0, ∞)",
             formula: ({ e, ra }) => ( ra * (1-e)/(1+e) ),
           },
           e: {
@@ -397,6 +479,8 @@ export const data = {
             symbol: "e",
             value: 0.5,
             unit: "",
+            quantity: "eccentricity",
+            domain: "[0, 1)",
             formula: ({ ra, rp }) => ( (ra-rp) / (ra+rp) ),
           },
         },
@@ -404,6 +488,8 @@ export const data = {
       "kepler": {
         name: "Kepler's 3rd Law",
         description: "relates the square of the period to the cube of the semi-major axis by total mass",
+        equation: "P^2 = a^3/(m1 + m2)",
+        dimensional: false, // holds only in the units given
         order: [ "P", "m2", "m1", "a" ],
         variables: {          
           a: {
@@ -411,27 +497,32 @@ export const data = {
             symbol: "a",
             value: 4,
             unit: "AUs",
-            formula: ({ P, m1, m2 }) => ( cbrt( (P**2) * (m1 + m2) ) ),
+            quantity: "semi_major_axis",
+            domain: "(0, ∞)",
           },
           m1: {
             name: "1's mass",
             symbol: "m₁",
             value: 1,
             unit: "M⊙",
-            formula: ({ P, a, m2 }) => ( (a**3) / (P**2) - m2 ),
+            quantity: "mass",
+            domain: "[0, ∞)",
           },
           m2: {
             name: "2's mass",
             symbol: "m₂",
             value: 0,
             unit: "M⊙",
-            formula: ({ P, a, m1 }) => ( (a**3) / (P**2) - m1 ),
+            quantity: "mass",
+            domain: "[0, ∞)",
           },
           P: {
             name: "orbital period",
             symbol: "P",
             value: 8,
             unit: "years",
+            quantity: "orbital_period",
+            domain: "(0, ∞)",
             formula: ({ m1, m2, a }) => ( sqrt( (a**3) / (m1 + m2) ) ),
           },
         },
@@ -439,6 +530,7 @@ export const data = {
       "vis-viva": {
         name: "orbital speed (vis-viva)",
         description: "relates the speed of an object to its orbital radius and semi-major axis",
+        equation: "v^2 = G*(m1 + m2)*(2/r - 1/a)",
         order: [ "v", "r", "a", "m1", "m2" ],
         variables: {
           m1: {
@@ -446,35 +538,39 @@ export const data = {
             symbol: "m₁",
             value: 1e10,
             unit: "kilograms",
-            formula: ({ m2, a, r, v }) => ( v*v/G/(2/r - 1/a) - m2 ),
+            quantity: "mass",
+            domain: "[0, ∞)",
           },
           m2: {
             name: "2's mass",
             symbol: "m₂",
             value: 2e10,
             unit: "kilograms",
-            formula: ({ m1, a, r, v }) => ( v*v/G/(2/r - 1/a) - m1 ),
+            quantity: "mass",
+            domain: "[0, ∞)",
           },          
           r: {
             name: "distance",
             symbol: "r",
             value: 2,
             unit: "meters",
-            formula: ({ m1, m2, a, v }) => ( 2/(v*v/G/(m1 + m2) + 1/a) ),
+            domain: "(0, ∞)",
           },
           a: {
             name: "semi-major axis",
             symbol: "a",
             value: 3,
             unit: "meters",
-            formula: ({ m1, m2, r, v }) => ( 1/(2/r - v*v/G/(m1 + m2)) ),
+            quantity: "semi_major_axis",
+            domain: "(0, ∞)",
           },
           v: {
             name: "orbital speed",
             symbol: "v",
             value: 1.15,
             unit: "meters/second",
-            formula: ({ m1, m2, r, a }) => ( Math.sqrt(G*(m1+m2)*(2/r - 1/a)) ),
+            domain: "[0, ∞)",
+            formula: ({ m1, m2, r, a }, { G }) => ( Math.sqrt(G*(m1+m2)*(2/r - 1/a)) ),
           },
         },
       },
@@ -485,7 +581,7 @@ export const data = {
     forms: {
       "hubble": {
         name: "Hubble's Law",
-        description: "relates the recessional speed of an object to its distance, due to the expansion of the universe",
+        description: "relates the recessional speed of an object to its distance, due to the expansion of the universe; only for nearby objects, as z ≪ 1",
         order: [ "v", "d" ],
         variables: {
           v: {
@@ -493,14 +589,16 @@ export const data = {
             symbol: "v",
             value: 1,
             unit: "kilometers/second",
-            formula: ({ d }) => ( HUBBLE*d ),
+            quantity: "radial_velocity",
+            formula: ({ d }, { HUBBLE }) => ( HUBBLE*d ),
           },
           d: {
             name: "distance",
             symbol: "d",
             value: 1,
             unit: "megaparsecs",
-            formula: ({ v }) => ( v/HUBBLE ),
+            quantity: "distance",
+            formula: ({ v }, { HUBBLE }) => ( v/HUBBLE ),
           },
         },
       },
@@ -514,27 +612,30 @@ export const data = {
             symbol: "d",
             value: 1,
             unit: "parsecs",
-            formula: ({ v, µ }) => ( v / 4.72 / µ ),
+            quantity: "distance",
+            domain: "(0, ∞)",
+            formula: ({ v, µ }, { PROPER_MOTION }) => ( v / PROPER_MOTION / µ ),
           },
           µ: {
             name: "proper motion",
             symbol: "µ",
             value: 1,
             unit: "arcseconds/year",
-            formula: ({ v, d }) => ( v / 4.72 / d ),
+            quantity: "proper_motion",
+            formula: ({ v, d }, { PROPER_MOTION }) => ( v / PROPER_MOTION / d ),
           },
           v: {
             name: "tangential speed",
             symbol: "v",
             value: 1,
             unit: "kilometers/second",
-            formula: ({ µ, d }) => ( 4.72 * µ * d ),
+            formula: ({ µ, d }, { PROPER_MOTION }) => ( PROPER_MOTION * µ * d ),
           },
         },
       },
       "universe-age": {
         name: "age of the universe",
-        description: "relates the age of the universe to the Hubble Constant",
+        description: "relates the age of the universe to the Hubble Constant, as the Hubble time 1/H₀; a rough age, the cosmology group gives it for ΛCDM",
         order: [ "H", "t" ],
         variables: {
           t: {
@@ -542,14 +643,16 @@ export const data = {
             symbol: "t",
             value: 1,
             unit: "years",
-            formula: ({ H }) => ( 1e+12 / H ),
+            domain: "(0, ∞)",
+            formula: ({ H }, { HUBBLE_TIME }) => ( 1e9*HUBBLE_TIME/H ),
           },
           H: {
             name: "Hubble constant",
             symbol: "H",
             value: 1,
             unit: "kilometers/second/megaparsec",
-            formula: ({ t }) => ( 1e+12 / t ),
+            domain: "(0, ∞)",
+            formula: ({ t }, { HUBBLE_TIME }) => ( 1e9*HUBBLE_TIME/t ),
           }
         },
       },
@@ -563,6 +666,7 @@ export const data = {
             symbol: "λ",
             value: 2,
             unit: "meters",
+            domain: "(0, ∞)",
             formula: ({ λ0, z }) => ( λ0*(z + 1) ),
           },
           λ0: {
@@ -570,6 +674,7 @@ export const data = {
             symbol: "λ₀",
             value: 1,
             unit: "meters",
+            domain: "(0, ∞)",
             formula: ({ λ, z }) => ( λ/(z + 1) ),
           },
           z: {
@@ -577,6 +682,7 @@ export const data = {
             symbol: "z",
             value: 1,
             unit: "",
+            domain: "(-1, ∞)",
             formula: ({ λ, λ0 }) => ( λ/λ0 - 1 ),
           },
         },
@@ -584,6 +690,7 @@ export const data = {
       "lorentz-factor": {
         name: "Lorentz factor",
         description: "relates the Lorentz factor (time dilation, length contraction) to relative speed",
+        dimensional: false, // holds only in the units given
         order: [ "γ", "v" ],
         variables: {
           v: {
@@ -591,19 +698,335 @@ export const data = {
             symbol: "v",
             value: 0.8,
             unit: "c",
+            domain: "[0, 1)",
             formula: ({ γ }) => ( sqrt(1 - 1/(γ ** 2)) ),
           },
           γ: {
             name: "Lorentz factor",
             symbol: "γ",
-            value: 0.36,
+            value: 5/3,
             unit: "",
+            domain: "[1, ∞)",
             formula: ({ v }) => ( 1/sqrt(1 - (v**2)) ),
           },
         },
       },
     },
   },
+  "cosmology": {
+    name: "Cosmology (ΛCDM)",
+    forms: {
+      "comoving-distance": {
+        name: "comoving distance",
+        description: "relates redshift to the comoving distance, the distance between us and an object today, in a ΛCDM universe",
+        equation: "D = comoving_distance(z, H0, Ωm, ΩΛ, 1 - Ωm - ΩΛ)",
+        dimensional: false, // holds only in the units given
+        order: [ "D", "H0", "Ωm", "ΩΛ", "z" ],
+        variables: {
+          D: {
+            name: "comoving distance",
+            symbol: "D_C",
+            value: 3303.8,
+            unit: "megaparsecs",
+            domain: "[0, ∞)",
+            quantity: "distance",
+          },
+          z: {
+            name: "redshift",
+            symbol: "z",
+            value: 1,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          H0: {
+            name: "Hubble constant",
+            symbol: "H₀",
+            value: 70,
+            unit: "kilometers/second/megaparsec",
+            domain: "(0, ∞)",
+            constant: "HUBBLE", // unless changed, H₀ as chosen under "Constants"
+          },
+          Ωm: {
+            name: "matter density",
+            symbol: "Ω_m",
+            value: 0.3,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          ΩΛ: {
+            name: "dark energy density",
+            symbol: "Ω_Λ",
+            value: 0.7,
+            unit: "",
+          },
+        },
+      },
+      "luminosity-distance": {
+        name: "luminosity distance",
+        description: "relates redshift to the luminosity distance, which dims light by the inverse square law, in a ΛCDM universe",
+        equation: "D = luminosity_distance(z, H0, Ωm, ΩΛ, 1 - Ωm - ΩΛ)",
+        dimensional: false, // holds only in the units given
+        order: [ "D", "H0", "Ωm", "ΩΛ", "z" ],
+        variables: {
+          D: {
+            name: "luminosity distance",
+            symbol: "D_L",
+            value: 6607.7,
+            unit: "megaparsecs",
+            domain: "[0, ∞)",
+            quantity: "distance",
+          },
+          z: {
+            name: "redshift",
+            symbol: "z",
+            value: 1,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          H0: {
+            name: "Hubble constant",
+            symbol: "H₀",
+            value: 70,
+            unit: "kilometers/second/megaparsec",
+            domain: "(0, ∞)",
+            constant: "HUBBLE", // unless changed, H₀ as chosen under "Constants"
+          },
+          Ωm: {
+            name: "matter density",
+            symbol: "Ω_m",
+            value: 0.3,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          ΩΛ: {
+            name: "dark energy density",
+            symbol: "Ω_Λ",
+            value: 0.7,
+            unit: "",
+          },
+        },
+      },
+      "angular-diameter-distance": {
+        name: "angular-diameter distance",
+        description: "relates redshift to the angular-diameter distance, which gives the angular size of an object, in a ΛCDM universe; it peaks near z = 1.6, so smaller distances have two redshifts",
+        equation: "D = angular_diameter_distance(z, H0, Ωm, ΩΛ, 1 - Ωm - ΩΛ)",
+        dimensional: false, // holds only in the units given
+        order: [ "D", "H0", "Ωm", "ΩΛ", "z" ],
+        variables: {
+          D: {
+            name: "angular-diameter distance",
+            symbol: "D_A",
+            value: 1651.9,
+            unit: "megaparsecs",
+            domain: "[0, ∞)",
+          },
+          z: {
+            name: "redshift",
+            symbol: "z",
+            value: 1,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          H0: {
+            name: "Hubble constant",
+            symbol: "H₀",
+            value: 70,
+            unit: "kilometers/second/megaparsec",
+            domain: "(0, ∞)",
+            constant: "HUBBLE", // unless changed, H₀ as chosen under "Constants"
+          },
+          Ωm: {
+            name: "matter density",
+            symbol: "Ω_m",
+            value: 0.3,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          ΩΛ: {
+            name: "dark energy density",
+            symbol: "Ω_Λ",
+            value: 0.7,
+            unit: "",
+          },
+        },
+      },
+      "light-travel-distance": {
+        name: "light-travel distance",
+        description: "relates redshift to how far the light has travelled since it left, in a ΛCDM universe",
+        equation: "D = light_travel_distance(z, H0, Ωm, ΩΛ, 1 - Ωm - ΩΛ)",
+        dimensional: false, // holds only in the units given
+        order: [ "D", "H0", "Ωm", "ΩΛ", "z" ],
+        variables: {
+          D: {
+            name: "light-travel distance",
+            symbol: "D_T",
+            value: 2365.5,
+            unit: "megaparsecs",
+            domain: "[0, ∞)",
+          },
+          z: {
+            name: "redshift",
+            symbol: "z",
+            value: 1,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          H0: {
+            name: "Hubble constant",
+            symbol: "H₀",
+            value: 70,
+            unit: "kilometers/second/megaparsec",
+            domain: "(0, ∞)",
+            constant: "HUBBLE", // unless changed, H₀ as chosen under "Constants"
+          },
+          Ωm: {
+            name: "matter density",
+            symbol: "Ω_m",
+            value: 0.3,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          ΩΛ: {
+            name: "dark energy density",
+            symbol: "Ω_Λ",
+            value: 0.7,
+            unit: "",
+          },
+        },
+      },
+      "lookback-time": {
+        name: "lookback time",
+        description: "relates redshift to how long ago the light left, in a ΛCDM universe",
+        equation: "t = lookback_time(z, H0, Ωm, ΩΛ, 1 - Ωm - ΩΛ)",
+        dimensional: false, // holds only in the units given
+        order: [ "t", "H0", "Ωm", "ΩΛ", "z" ],
+        variables: {
+          t: {
+            name: "lookback time",
+            symbol: "t_L",
+            value: 7.7154,
+            unit: "gigayears",
+            domain: "[0, ∞)",
+          },
+          z: {
+            name: "redshift",
+            symbol: "z",
+            value: 1,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          H0: {
+            name: "Hubble constant",
+            symbol: "H₀",
+            value: 70,
+            unit: "kilometers/second/megaparsec",
+            domain: "(0, ∞)",
+            constant: "HUBBLE", // unless changed, H₀ as chosen under "Constants"
+          },
+          Ωm: {
+            name: "matter density",
+            symbol: "Ω_m",
+            value: 0.3,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          ΩΛ: {
+            name: "dark energy density",
+            symbol: "Ω_Λ",
+            value: 0.7,
+            unit: "",
+          },
+        },
+      },
+      "cosmic-age": {
+        name: "age at redshift",
+        description: "relates redshift to the age of a ΛCDM universe when the light left; at z = 0 it is the age today",
+        equation: "t = cosmic_age(z, H0, Ωm, ΩΛ, 1 - Ωm - ΩΛ)",
+        dimensional: false, // holds only in the units given
+        order: [ "t", "H0", "Ωm", "ΩΛ", "z" ],
+        variables: {
+          t: {
+            name: "age",
+            symbol: "t",
+            value: 5.7517,
+            unit: "gigayears",
+            domain: "[0, ∞)",
+          },
+          z: {
+            name: "redshift",
+            symbol: "z",
+            value: 1,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          H0: {
+            name: "Hubble constant",
+            symbol: "H₀",
+            value: 70,
+            unit: "kilometers/second/megaparsec",
+            domain: "(0, ∞)",
+            constant: "HUBBLE", // unless changed, H₀ as chosen under "Constants"
+          },
+          Ωm: {
+            name: "matter density",
+            symbol: "Ω_m",
+            value: 0.3,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          ΩΛ: {
+            name: "dark energy density",
+            symbol: "Ω_Λ",
+            value: 0.7,
+            unit: "",
+          },
+        },
+      },
+      "cosmological-distance-modulus": {
+        name: "distance modulus from redshift",
+        description: "relates redshift to the distance modulus m − M through the luminosity distance, in a ΛCDM universe",
+        equation: "μ = distance_modulus(z, H0, Ωm, ΩΛ, 1 - Ωm - ΩΛ)",
+        dimensional: false, // holds only in the units given
+        order: [ "μ", "H0", "Ωm", "ΩΛ", "z" ],
+        variables: {
+          μ: {
+            name: "distance modulus",
+            symbol: "μ",
+            value: 44.1,
+            unit: "",
+          },
+          z: {
+            name: "redshift",
+            symbol: "z",
+            value: 1,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          H0: {
+            name: "Hubble constant",
+            symbol: "H₀",
+            value: 70,
+            unit: "kilometers/second/megaparsec",
+            domain: "(0, ∞)",
+            constant: "HUBBLE", // unless changed, H₀ as chosen under "Constants"
+          },
+          Ωm: {
+            name: "matter density",
+            symbol: "Ω_m",
+            value: 0.3,
+            unit: "",
+            domain: "[0, ∞)",
+          },
+          ΩΛ: {
+            name: "dark energy density",
+            symbol: "Ω_Λ",
+            value: 0.7,
+            unit: "",
+          },
+        },
+      },
+    },
+  },
   "telescopes": {
     name: "Telescopes & Lenses",
     forms: {
@@ -617,6 +1040,7 @@ export const data = {
             symbol: "θ",
             value: 1.22,
             unit: "radians",
+            domain: "(0, ∞)",
             formula: ({ λ, D }) => ( 1.22*λ/D ),
           },
           λ: {
@@ -624,6 +1048,7 @@ export const data = {
             symbol: "λ",
             value: 1,
             unit: "nanometers",
+            domain: "(0, ∞)",
             formula: ({ θ, D }) => ( θ*D/1.22 ),
           },
           D: {
@@ -631,6 +1056,7 @@ export const data = {
             symbol: "D",
             value: 1,
             unit: "nanometers",
+            domain: "(0, ∞)",
             formula: ({ θ, λ }) => ( 1.22*λ/θ )
           },
         },
@@ -638,3 +1064,7 @@ export const data = {
     }
   }
 }
+
+// Links every workspace has until they are taken away, as saved by workspace.mjs: the cosmology
+// forms take their redshift from the redshift form, and find it from a distance once unlinked
+export const default_links = Object.keys(data["cosmology"].forms).map(form_id => ({ from: [ "redshift", "z" ], to: [ form_id, "z" ] }))
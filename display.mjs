@@ -0,0 +1,95 @@
+// How numbers are shown: rounded to some significant figures, in plain, scientific or
+// engineering notation, and optionally in SI-prefixed units, as 3.2 kpc for 3200 parsecs.
+// Values keep their full precision; only what is shown is rounded
+
+import { named, symbols, convert } from "./units.mjs"
+import { num_to_scientific } from "./engine.mjs"
+
+class DisplayError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "DisplayError"
+  }
+}
+
+const NOTATIONS = ["plain", "scientific", "engineering"]
+const MAX_DIGITS = 15
+
+const DEFAULT_DISPLAY = { digits: 5, notation: "scientific", prefixes: false }
+
+// Settings read from text, as given to the CLI
+const display_settings = ({ digits = DEFAULT_DISPLAY.digits, notation = DEFAULT_DISPLAY.notation, prefixes = false } = {}) => {
+  digits = Number(digits)
+  if (!Number.isInteger(digits) || digits < 1 || digits > MAX_DIGITS)
+    throw new DisplayError(`significant figures should be a whole number from 1 to ${MAX_DIGITS}`)
+  if (!NOTATIONS.includes(notation)) throw new DisplayError(`notation should be one of ${NOTATIONS.join(", ")}`)
+  return { digits, notation, prefixes: !!prefixes }
+}
+
+// x × 10^exponent, dividing by powers of ten where that is exact
+const join = (mantissa, exponent) => exponent < 0 ? mantissa / 10 ** -exponent : mantissa * 10 ** exponent
+
+// A number as { mantissa, exponent } in a notation, the mantissa rounded to `digits`
+// significant figures. `exact` is the mantissa before rounding, so edits to the exponent alone lose nothing
+const parts = (x, { digits = DEFAULT_DISPLAY.digits, notation = DEFAULT_DISPLAY.notation } = {}) => {
+  if (!isFinite(x) || x == 0) return { mantissa: x, exponent: 0, exact: x }
+  const { exponent: power } = num_to_scientific(x, digits)
+  const exponent = notation == "plain" ? 0 : notation == "engineering" ? Math.floor(power / 3) * 3 : power
+  const exact = join(x, -exponent)
+  return { mantissa: Number(exact.toPrecision(digits)), exponent, exact }
+}
+
+// Prefixes a thousand apart, from yocto to yotta
+const STEPS = ["y", "z", "a", "f", "p", "n", "µ", "m", "", "k", "M", "G", "T", "P", "E", "Z", "Y"]
+const ASTRONOMICAL = ["pc", "ly", "yr"]
+
+// The symbol a unit is a prefix of, as "pc" with "k" for kiloparsecs
+const base_of = (unit) => {
+  const [factor, symbol] = named[unit] ?? [1, unit]
+  if (factor != 1) return undefined
+  const prefix = Object.hasOwn(symbols, symbol) ? ""
+    : STEPS.find(p => p && symbol.startsWith(p) && Object.hasOwn(symbols, symbol.slice(p.length)))
+  return prefix === undefined ? undefined : { symbol: symbol.slice(prefix.length), prefix }
+}
+
+// A value in `unit` moved to the SI prefix that puts it between 1 and 1000, named as in the
+// unit menus where it is there. Units that take no prefixes, such as AUs or °C, are kept
+const prefixed = (value, unit, digits = DEFAULT_DISPLAY.digits) => {
+  const base = unit && isFinite(value) && value != 0 ? base_of(unit) : undefined
+  if (!base) return { value, unit }
+  const step = STEPS.indexOf(base.prefix) + Math.floor(num_to_scientific(value, digits).exponent / 3)
+  if (step < 0 || step >= STEPS.length) return { value, unit }
+  // Units of astronomical size only grow, to kpc or Gyr, since a mpc reads like a Mpc
+  if (ASTRONOMICAL.includes(base.symbol) && step < STEPS.indexOf("")) return { value, unit }
+  const symbol = STEPS[step] + base.symbol
+  const name = Object.keys(named).find(n => named[n][0] == 1 && named[n][1] == symbol) ?? symbol
+  return { value: convert(value, unit, name), unit: name }
+}
+
+const SUPERSCRIPTS = { "-": "⁻", 0: "⁰", 1: "¹", 2: "²", 3: "³", 4: "⁴", 5: "⁵", 6: "⁶", 7: "⁷", 8: "⁸", 9: "⁹" }
+
+// An integer in superscript digits, as "⁻¹²"
+const superscript = (n) => [...String(n)].map(c => SUPERSCRIPTS[c]).join("")
+
+// " × 10³" for an exponent of 3, and nothing for 0
+const times_ten = (exponent) => exponent ? " × 10" + superscript(exponent) : ""
+
+// A number as text, such as "1.2877 × 10³"
+const format_number = (x, settings) => {
+  const { mantissa, exponent } = parts(x, settings)
+  return mantissa + times_ten(exponent)
+}
+
+export {
+  DisplayError,
+  NOTATIONS,
+  MAX_DIGITS,
+  DEFAULT_DISPLAY,
+  display_settings,
+  join,
+  parts,
+  prefixed,
+  superscript,
+  times_ten,
+  format_number,
+}
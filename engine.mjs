@@ -0,0 +1,297 @@
+import { data, constants } from "./data.mjs"
+import { UnitError, convert, compatible, scale } from "./units.mjs"
+import { parse, evaluate, names } from "./expression.mjs"
+import { find_root } from "./roots.mjs"
+
+class SolveError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "SolveError"
+  }
+}
+
+// Split a number into a mantissa and exponent, rounded to `digits` significant figures
+const num_to_scientific = (x, digits = 5) => {
+  const arr = Number
+  .parseFloat(x.toPrecision(digits))
+  .toExponential()
+  .split("e")
+  .map(n => Number.parseFloat(n))
+  return {
+    mantissa: arr[0],
+    exponent: arr[1]
+  }
+}
+
+// Values are kept in the variable's default unit, and shown in its chosen unit
+const to_display = (variable, value) => convert(value, variable.default_unit, variable.unit)
+const from_display = (variable, value) => convert(value, variable.unit, variable.default_unit)
+
+// How much a small difference in the chosen unit is worth in the default unit
+const display_scale = (variable) =>
+  scale(to_display(variable, variable.value), variable.unit, variable.default_unit)
+
+// Store a value, in the variable's default unit, at full precision.
+// How it is shown, rounded or not, is up to display.mjs
+const assign = (variable, value) => {
+  variable.value = value
+}
+
+const set_unit = (variable, unit) => {
+  if (!compatible(unit, variable.default_unit))
+    throw new UnitError(`"${unit}" is not a unit of ${variable.name}`)
+  variable.unit = unit
+}
+
+const prepare_form = (form) => {
+  for (const variable_id in form.variables) {
+    const variable = form.variables[variable_id]
+    variable.default_unit = variable.unit
+    assign(variable, variable.value)
+  }
+  return form
+}
+
+const prepare = (source = data) => {
+  for (const group_id in source)
+    for (const form_id in source[group_id].forms) prepare_form(source[group_id].forms[form_id])
+  return source
+}
+
+const find_form = (form_id, source = data) => {
+  for (const group_id in source)
+    if (Object.hasOwn(source[group_id].forms, form_id)) return source[group_id].forms[form_id]
+  throw new SolveError(`unknown form "${form_id}"`)
+}
+
+// Flatten values of variables
+const values_of = (form) => Object.fromEntries(Object.entries(form.variables).map(
+  ([v_id, v]) => ([v_id, Number(v.value)])
+))
+
+// Whether every variable besides the first-to-be-calculated is valid
+const calculable = (form, values) =>
+  Object.keys(values).every(v_id => (v_id == form.order[0]) || isFinite(values[v_id]))
+
+// Domains are intervals in a variable's default unit, e.g. "[0, 1)" or "(0, ∞)"
+const DOMAIN = /^\s*([[(])\s*([^,]+?)\s*,\s*([^,]+?)\s*([\])])\s*$/
+const domains = new Map()
+const parse_domain = (domain) => {
+  if (!domains.has(domain)) {
+    const match = domain.match(DOMAIN)
+    const bound = (x) => Number(x.replace("∞", "Infinity"))
+    if (!match || isNaN(bound(match[2])) || isNaN(bound(match[3])))
+      throw new SolveError(`invalid domain "${domain}"`)
+    domains.set(domain, {
+      min: bound(match[2]),
+      max: bound(match[3]),
+      min_open: match[1] == "(",
+      max_open: match[4] == ")",
+    })
+  }
+  return domains.get(domain)
+}
+
+const in_domain = (domain, x) => {
+  const { min, max, min_open, max_open } = parse_domain(domain)
+  return (min_open ? x > min : x >= min) && (max_open ? x < max : x <= max)
+}
+
+// Variables whose values fall outside their declared domains
+const domain_warnings = (form, values) => Object.entries(form.variables)
+  .filter(([v_id, v]) => v.domain && isFinite(values[v_id]) && !in_domain(v.domain, values[v_id]))
+  .map(([v_id, v]) => {
+    const unit = v.default_unit ?? v.unit
+    return {
+      variable: v_id,
+      value: values[v_id],
+      domain: v.domain,
+      message: `${v_id} = ${values[v_id]} is outside ${v.domain}${unit ? " " + unit : ""}`,
+    }
+  })
+
+const equations = new Map()
+const parse_equation = (equation) => {
+  if (!equations.has(equation)) equations.set(equation, parse(equation))
+  return equations.get(equation)
+}
+
+// Solve an equation for one variable, keeping its current value if it already fits.
+// Roots are only looked for within `bounds`, and first within `prefer`.
+// Returns NaN when there is no solution
+const solve_equation = (equation, variable_id, values, { bounds, prefer } = {}) => {
+  const { left, right } = parse_equation(equation)
+  const scope = (x) => ({ ...constants, ...values, [variable_id]: x })
+  const fits = (x) => !bounds || in_domain(bounds, x)
+
+  // Fast path when the variable stands alone on one side
+  for (const [side, other] of [[left, right], [right, left]])
+    if (side.type == "name" && side.name == variable_id && !names(other).has(variable_id)) {
+      const x = evaluate(other, scope())
+      return fits(x) ? x : NaN
+    }
+
+  const guess = values[variable_id]
+  const l = evaluate(left, scope(guess)), r = evaluate(right, scope(guess))
+  if (fits(guess) && Math.abs(l - r) <= 1e-12 * Math.max(Math.abs(l), Math.abs(r))) return guess
+
+  const f = (x) => evaluate(left, scope(x)) - evaluate(right, scope(x))
+  const within = (...ds) => ({
+    min: Math.max(...ds.map(d => d ? parse_domain(d).min : -Infinity)),
+    max: Math.min(...ds.map(d => d ? parse_domain(d).max : Infinity)),
+  })
+  for (const domain of [prefer, bounds].filter(Boolean)) {
+    const x = find_root(f, guess, within(bounds, domain))
+    if (isFinite(x) && fits(x)) return x
+  }
+  return bounds ? NaN : find_root(f, guess)
+}
+
+// Whether the values meet the conditions of one piece of a piecewise form
+const in_piece = (piece, values) => Object.entries(piece.when ?? {})
+  .every(([v_id, domain]) => in_domain(domain, values[v_id]))
+
+// Solve each piece in turn, taking the first solution that meets its own conditions
+const solve_pieces = (form, variable_id, values) => {
+  for (const piece of form.pieces) {
+    const x = solve_equation(piece.equation, variable_id, values, {
+      bounds: piece.when?.[variable_id],
+      prefer: form.variables[variable_id].domain,
+    })
+    if (isFinite(x) && in_piece(piece, { ...values, [variable_id]: x })) return x
+  }
+  return NaN
+}
+
+// Hand-written formulas take precedence over solving the equation
+const calculate_variable = (form, variable_id, values) => {
+  const variable = form.variables[variable_id]
+  return Number(
+      variable.formula ? variable.formula(values, constants)
+    : form.pieces ? solve_pieces(form, variable_id, values)
+    : solve_equation(form.equation, variable_id, values, { prefer: variable.domain })
+  )
+}
+
+// Calculate variables in order, leaving out those in `skip`
+const calculate = (form, values, skip = []) => {
+  const result = { ...values }
+  if (!calculable(form, result)) return result
+  for (const v_id of form.order) {
+    if (skip.includes(v_id)) continue
+    result[v_id] = calculate_variable(form, v_id, result)
+  }
+  return result
+}
+
+// A function from the values of a form to one of its variables
+const solver_for = (form, target = form.order[0]) => {
+  const order = [target, ...form.order.filter(v_id => v_id != target)]
+  const reordered = { ...form, order }
+  return (values) => calculate(reordered, values, order.slice(1))[target]
+}
+
+// Recalculate a form in place after `variable_id` was changed
+const recalculate = (form, variable_id, self = false) => {
+  if (!calculable(form, values_of(form))) return form
+  const values = calculate(form, values_of(form), self ? [] : [variable_id])
+  for (const v_id in values) {
+    if (v_id == variable_id && !self) continue
+    assign(form.variables[v_id], values[v_id])
+  }
+  return form
+}
+
+// Bring the first variable that isn't pinned to the front of the order, to be calculated,
+// passing over `kept` and the `held` variables, such as those linked from another form.
+// With nothing else free the order stays as it is
+const unpin_first = (form, kept, held = []) => {
+  const free = form.order.findIndex(v_id => v_id != kept && !form.pinned?.includes(v_id) && !held.includes(v_id))
+  if (free > 0) form.order.unshift(form.order.splice(free, 1)[0])
+}
+
+// Move a variable to last in calculation order.
+// Pinned and held variables keep their values, so another is calculated in their place
+const reorder = (form, variable_id, held = []) => {
+  form.order.push(form.order.splice(form.order.indexOf(variable_id), 1)[0])
+  unpin_first(form, variable_id, held)
+  return form
+}
+
+// Pin a variable, or unpin it
+const pin = (form, variable_id, pinned = true, held = []) => {
+  const others = (form.pinned ?? []).filter(v_id => v_id != variable_id)
+  form.pinned = pinned ? [...others, variable_id] : others.length ? others : undefined
+  unpin_first(form, undefined, held)
+  return form
+}
+
+// Solve a form without touching it, e.g.
+// solve("kepler", { a: [1, "AUs"], m1: [1, "M⊙"] }, { units: { P: "days" } })
+// Knowns are numbers in the variable's default unit, or [value, unit] pairs.
+// Unless `target` is given, the unknown that comes first in the form's order is solved for.
+// Variables that are neither known nor the target take their default values,
+// or raise an error if `defaults` is false.
+// Values outside their variable's domain are passed to `warn`.
+const solve = (form_id, knowns = {}, { target, units = {}, defaults = true, source = data, warn = () => {} } = {}) => {
+  const form = find_form(form_id, source)
+  const variables = form.variables
+
+  for (const v_id of [...Object.keys(knowns), ...Object.keys(units)])
+    if (!Object.hasOwn(variables, v_id)) throw new SolveError(`unknown variable "${v_id}" in form "${form_id}"`)
+
+  target ??= form.order.find(v_id => !Object.hasOwn(knowns, v_id)) ?? form.order[0]
+  if (!Object.hasOwn(variables, target)) throw new SolveError(`unknown variable "${target}" in form "${form_id}"`)
+
+  const default_unit = (v_id) => variables[v_id].default_unit ?? variables[v_id].unit
+  const values = {}
+  for (const v_id in variables) {
+    if (Object.hasOwn(knowns, v_id)) {
+      const [value, unit = default_unit(v_id)] = [knowns[v_id]].flat()
+      values[v_id] = convert(Number(value), unit, default_unit(v_id))
+    } else if (v_id == target || defaults) {
+      values[v_id] = Number(variables[v_id].value)
+    } else {
+      throw new SolveError(`missing known "${v_id}" to solve for "${target}" in form "${form_id}"`)
+    }
+  }
+
+  const order = [target, ...form.order.filter(v_id => v_id != target)]
+  const solved = calculate({ ...form, order }, values, order.slice(1))
+  domain_warnings(form, solved).forEach(warn)
+  if (!isFinite(solved[target]))
+    throw new SolveError(`no solution for "${target}" in form "${form_id}"`)
+
+  return Object.fromEntries(Object.keys(variables).map(v_id => {
+    const unit = units[v_id] ?? default_unit(v_id)
+    return [v_id, [convert(solved[v_id], default_unit(v_id), unit), unit]]
+  }))
+}
+
+export {
+  SolveError,
+  num_to_scientific,
+  to_display,
+  from_display,
+  display_scale,
+  assign,
+  set_unit,
+  prepare_form,
+  prepare,
+  find_form,
+  values_of,
+  calculable,
+  parse_domain,
+  in_domain,
+  domain_warnings,
+  solve_equation,
+  in_piece,
+  solve_pieces,
+  calculate_variable,
+  calculate,
+  solver_for,
+  recalculate,
+  reorder,
+  pin,
+  solve,
+}
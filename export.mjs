@@ -0,0 +1,215 @@
+// A form's calculation written out for reports: the formula, every value in scientific
+// notation with its unit and uncertainty, and whether it was entered, computed or linked.
+// JSON exports also keep the form's changes (see workspace.mjs), so they can be imported again
+
+import { data, constants, constant_units } from "./data.mjs"
+import { named } from "./units.mjs"
+import { names } from "./expression.mjs"
+import { find_form, to_display, display_scale } from "./engine.mjs"
+import { parse_uncertainty, asymmetric } from "./uncertainty.mjs"
+import { form_at, variable_at } from "./chains.mjs"
+import { names as constant_names, describe_set } from "./constants.mjs"
+import { VERSION, migrate } from "./workspace.mjs"
+import { relations_of, to_text, to_tex, symbol_tex, SUBSCRIPTS, TEX_LETTERS } from "./math.mjs"
+import { parts, times_ten } from "./display.mjs"
+
+class ExportError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "ExportError"
+  }
+}
+
+const FORMAT = "astroformulatron-form"
+
+// Uncertainties in the unit shown, as { minus, plus }.
+// A decreasing unit, such as magnitudes, swaps the upper and lower errors
+const uncertainty_of = (form, v_id) => {
+  const v = form.variables[v_id]
+  if (v_id == form.order[0]) {
+    if (!v.error) return undefined
+    const scale = display_scale(v)
+    const { minus, plus } = v.error
+    return scale < 0
+      ? { minus: plus / -scale, plus: minus / -scale }
+      : { minus: minus / scale, plus: plus / scale }
+  }
+  const sigma = parse_uncertainty(v.uncertainty, to_display(v, v.value))
+  return sigma ? { minus: sigma, plus: sigma } : undefined
+}
+
+// Everything written out about a form. `links` are those of the workspace,
+// `constant_set` the one in use, and `state` the form's changes to re-import
+const report = (form_id, { source = data, links = [], constant_set, state } = {}) => {
+  const form = find_form(form_id, source)
+  const relations = relations_of(form, form.order[0])
+  const used = Object.keys(constant_names).filter(c_id => relations.some(({ tree }) => names(tree).has(c_id)))
+  return {
+    id: form_id,
+    name: form.name,
+    description: form.description,
+    formula: relations.map(relation => to_text(relation, form)).join("; "),
+    formula_tex: relations.map(relation => to_tex(relation, form)),
+    propagation: form.propagation == "monte-carlo" ? "Monte Carlo" : "linear",
+    constant_set: describe_set(constant_set),
+    constants: Object.fromEntries(used.map(c_id =>
+      [c_id, { name: constant_names[c_id], value: constants[c_id], unit: constant_units[c_id] || undefined }]
+    )),
+    variables: form.order.map((v_id, i) => {
+      const v = form.variables[v_id]
+      const link = links.find(({ to }) => to[1] == form_id && to[2] == v_id)
+      return {
+        id: v_id,
+        symbol: v.symbol,
+        name: v.name.trim(),
+        value: to_display(v, v.value),
+        unit: v.unit || undefined,
+        uncertainty: uncertainty_of(form, v_id),
+        provenance: link ? "linked" : i == 0 ? "computed" : "entered",
+        ...(link && { from: `${form_at(source, link.from).name}: ${variable_at(source, link.from).symbol}` }),
+      }
+    }),
+    state,
+  }
+}
+
+const DIGITS = 4
+
+// A mantissa and exponent shared by a value and its uncertainty
+const scientific = (x) => parts(x, { digits: DIGITS, notation: "scientific" })
+const in_exponent = (x, exponent) => Number((x / 10 ** exponent).toPrecision(2))
+
+const plain_value = ({ value, uncertainty }) => {
+  const { mantissa, exponent } = scientific(value)
+  if (!uncertainty) return mantissa + times_ten(exponent)
+  const [minus, plus] = [in_exponent(uncertainty.minus, exponent), in_exponent(uncertainty.plus, exponent)]
+  const error = asymmetric(uncertainty) ? `+${plus} −${minus}` : `± ${plus}`
+  return exponent ? `(${mantissa} ${error})${times_ten(exponent)}` : `${mantissa} ${error}`
+}
+
+// Markdown table cells can't hold a bare "|"
+const cell = (text) => String(text ?? "").replaceAll("|", "\\|")
+
+const to_markdown = (r) => [
+  `## ${r.name}`,
+  "",
+  ...(r.description ? [r.description, ""] : []),
+  `\`${r.formula}\``,
+  "",
+  "| symbol | variable | value | unit | source |",
+  "| --- | --- | --- | --- | --- |",
+  ...r.variables.map(v => `| ${cell(v.symbol)} | ${cell(v.name)} | ${cell(plain_value(v))} | ${cell(v.unit)} | ${
+    v.provenance == "linked" ? cell(`linked from ${v.from}`) : v.provenance
+  } |`),
+  "",
+  `Constants: ${r.constant_set}${Object.entries(r.constants).map(([c_id, c]) => `; ${c_id} = ${c.value}${c.unit ? " " + c.unit : ""}`).join("")}.`,
+  `Uncertainties propagated ${r.propagation == "linear" ? "linearly" : "by Monte Carlo"}.`,
+].join("\n") + "\n"
+
+const LATEX_SPECIAL = { "\\": "\\textbackslash{}", "{": "\\{", "}": "\\}", "$": "\\$", "&": "\\&", "#": "\\#", "%": "\\%", "_": "\\_", "^": "\\^{}", "~": "\\~{}" }
+
+// Text that pdfLaTeX can typeset, with Greek letters and subscripts in math mode
+const latex_text = (text) => String(text)
+  .replace(/[\\{}$&#%_^~]/g, c => LATEX_SPECIAL[c])
+  .replace(/./gu, c => c in TEX_LETTERS ? `\\ensuremath{${TEX_LETTERS[c]}}` : c in SUBSCRIPTS ? `\\textsubscript{${SUBSCRIPTS[c]}}` : c)
+
+// siunitx names for the unit symbols that aren't plain letters
+const LATEX_UNITS = {
+  "as": "\\arcsecond",
+  "arcsec": "\\arcsecond",
+  "mas": "\\milli\\arcsecond",
+  "arcmin": "\\arcminute",
+  "°": "\\degree",
+  "°C": "\\degreeCelsius",
+  "Å": "\\angstrom",
+  "µm": "\\micro\\metre",
+  "M⊙": "\\ensuremath{M_\\odot}",
+  "L⊙": "\\ensuremath{L_\\odot}",
+  "R⊙": "\\ensuremath{R_\\odot}",
+  "T⊙": "\\ensuremath{T_\\odot}",
+  "M⊕": "\\ensuremath{M_\\oplus}",
+  "R⊕": "\\ensuremath{R_\\oplus}",
+  "c": "\\ensuremath{c}",
+}
+// Named units with a factor, such as M⊙, are written as themselves rather than in the unit they convert to
+const latex_unit = (unit) => {
+  const [factor, symbol] = named[unit] ?? [1, unit]
+  if (factor != 1) return LATEX_UNITS[unit] ?? latex_text(unit)
+  const [, scale, inner] = symbol.match(/^(dex|mag)\((.*)\)$/) ?? []
+  if (scale) return `\\text{${scale}}(${latex_unit(inner)})`
+  return symbol.split(/(\/|\s+)/).map(part => {
+    if (part == "/") return part
+    if (part.trim() == "") return "."
+    const [, base, power] = part.match(/^(.*?)(?:\^(-?\d+))?$/)
+    return (LATEX_UNITS[base] ?? latex_text(base)) + (power ? `^{${power}}` : "")
+  }).join("")
+}
+
+// A symbol such as λ₀ in math mode, as $\lambda_{0}$
+const latex_symbol = (symbol) => `$${symbol_tex({ symbol })}$`
+
+const latex_value = ({ value, unit, uncertainty }) => {
+  const { mantissa, exponent } = scientific(value)
+  const e = exponent ? `e${exponent}` : ""
+  if (uncertainty && asymmetric(uncertainty)) {
+    const [minus, plus] = [in_exponent(uncertainty.minus, exponent), in_exponent(uncertainty.plus, exponent)]
+    return `$\\num{${mantissa}}^{+\\num{${plus}}}_{-\\num{${minus}}}${exponent ? `\\times 10^{${exponent}}` : ""}$${unit ? ` \\si{${latex_unit(unit)}}` : ""}`
+  }
+  const number = uncertainty ? `${mantissa} \\pm ${in_exponent(uncertainty.plus, exponent)} ${e}` : mantissa + e
+  return unit ? `\\SI{${number}}{${latex_unit(unit)}}` : `\\num{${number}}`
+}
+
+const to_latex = (r) => [
+  `% ${r.name}, written by astroformulatron. Needs \\usepackage{siunitx}`,
+  `\\paragraph{${latex_text(r.name)}}`,
+  `\\[ ${r.formula_tex.join(";\\quad ")} \\]`,
+  "",
+  "\\begin{tabular}{llll}",
+  "  symbol & variable & value & source \\\\",
+  "  \\hline",
+  ...r.variables.map(v => `  ${latex_symbol(v.symbol)} & ${latex_text(v.name)} & ${latex_value(v)} & ${
+    latex_text(v.provenance == "linked" ? `linked from ${v.from}` : v.provenance)
+  } \\\\`),
+  "\\end{tabular}",
+  "",
+  `Constants: ${latex_text(r.constant_set)}${Object.entries(r.constants).map(([c_id, c]) =>
+    `; ${latex_text(c_id)} = ${c.unit ? `\\SI{${c.value}}{${latex_unit(c.unit)}}` : `\\num{${c.value}}`}`).join("")}.`,
+  `Uncertainties propagated ${r.propagation == "linear" ? "linearly" : "by Monte Carlo"}.`,
+].join("\n") + "\n"
+
+// The LaTeX of the formula is left to LaTeX exports
+const to_json = ({ formula_tex, ...r }) => JSON.stringify({ format: FORMAT, version: VERSION, ...r }, null, 2) + "\n"
+
+const formats = {
+  latex: { name: "LaTeX", extension: "tex", type: "application/x-tex", write: to_latex },
+  markdown: { name: "Markdown", extension: "md", type: "text/markdown", write: to_markdown },
+  json: { name: "JSON", extension: "json", type: "application/json", write: to_json },
+}
+
+// The form id and changes kept in a JSON export, brought up to date with data.mjs
+const read_export = (text) => {
+  let saved
+  try {
+    saved = JSON.parse(text)
+  } catch (error) {
+    throw new ExportError(`not JSON: ${error.message}`)
+  }
+  if (saved?.format != FORMAT || typeof saved.id != "string" || typeof saved.state != "object" || !saved.state)
+    throw new ExportError("not a form exported from astroformulatron")
+  const migrated = migrate({ version: saved.version, forms: { [saved.id]: saved.state } })
+  if (!migrated) throw new ExportError(`can't read exports of version ${saved.version}`)
+  const [[form, state] = []] = Object.entries(migrated.forms)
+  if (!form) throw new ExportError(`form "${saved.id}" no longer exists`)
+  return { form, state }
+}
+
+export {
+  ExportError,
+  report,
+  to_markdown,
+  to_latex,
+  to_json,
+  formats,
+  latex_unit,
+  read_export,
+}
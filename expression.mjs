@@ -0,0 +1,183 @@
+// A small arithmetic expression language, used instead of `new Function`
+// Expressions parse into plain objects:
+//   { type: "number", value }
+//   { type: "name", name }
+//   { type: "unary", op, arg }
+//   { type: "binary", op, left, right }
+//   { type: "call", name, args }
+//   { type: "equation", left, right }
+
+import { cosmology_functions } from "./cosmology.mjs"
+
+class ExpressionError extends Error {
+  constructor(message, position) {
+    super(position === undefined ? message : `${message} at position ${position + 1}`)
+    this.name = "ExpressionError"
+    this.position = position
+  }
+}
+
+const functions = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log,
+  log10: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+  // Distances and times to a redshift, as luminosity_distance(z, H0, Ωm, ΩΛ, Ωk)
+  ...cosmology_functions,
+}
+
+const TOKEN = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)|([\p{L}_][\p{L}\p{N}_]*)|(\*\*|[-+*/^(),=]))/uy
+
+const tokenize = (source) => {
+  const tokens = []
+  TOKEN.lastIndex = 0
+  while (TOKEN.lastIndex < source.length) {
+    const position = TOKEN.lastIndex
+    const match = TOKEN.exec(source)
+    if (!match) {
+      if (source.slice(position).trim() == "") break
+      throw new ExpressionError(`unexpected "${source.slice(position).trim()[0]}"`, position)
+    }
+    const [, number, name, op] = match
+    const start = match.index + match[0].length - (number ?? name ?? op).length
+    tokens.push(
+        number !== undefined ? { type: "number", value: Number(number), position: start }
+      : name !== undefined ? { type: "name", name, position: start }
+      : { type: "op", op: op == "**" ? "^" : op, position: start }
+    )
+  }
+  return tokens
+}
+
+const BINARY = {
+  "+": { precedence: 1 },
+  "-": { precedence: 1 },
+  "*": { precedence: 2 },
+  "/": { precedence: 2 },
+  "^": { precedence: 4, right: true },
+}
+const UNARY_PRECEDENCE = 3
+
+const parse = (source) => {
+  const tokens = tokenize(source)
+  let i = 0
+  const peek = () => tokens[i]
+  const is_op = (op) => peek()?.type == "op" && peek().op == op
+  const expect = (op) => {
+    if (!is_op(op)) throw unexpected()
+    i++
+  }
+  const unexpected = () => peek()
+    ? new ExpressionError(`unexpected "${peek().op ?? peek().name ?? peek().value}"`, peek().position)
+    : new ExpressionError("unexpected end of expression", source.length)
+
+  const atom = () => {
+    const token = peek()
+    if (!token) throw unexpected()
+    if (token.type == "number") {
+      i++
+      return { type: "number", value: token.value }
+    }
+    if (token.type == "name") {
+      i++
+      if (!is_op("(")) return { type: "name", name: token.name }
+      i++
+      const args = []
+      if (!is_op(")")) {
+        args.push(expression(0))
+        while (is_op(",")) {
+          i++
+          args.push(expression(0))
+        }
+      }
+      expect(")")
+      return { type: "call", name: token.name, args }
+    }
+    if (is_op("(")) {
+      i++
+      const inner = expression(0)
+      expect(")")
+      return inner
+    }
+    if (is_op("-") || is_op("+")) {
+      i++
+      const arg = expression(UNARY_PRECEDENCE)
+      return token.op == "-" ? { type: "unary", op: "-", arg } : arg
+    }
+    throw unexpected()
+  }
+
+  // Precedence climbing
+  const expression = (min) => {
+    let left = atom()
+    while (peek()?.type == "op" && BINARY[peek().op]?.precedence >= min) {
+      const op = peek().op
+      const { precedence, right } = BINARY[op]
+      i++
+      left = { type: "binary", op, left, right: expression(right ? precedence : precedence + 1) }
+    }
+    return left
+  }
+
+  const left = expression(0)
+  let tree = left
+  if (is_op("=")) {
+    i++
+    tree = { type: "equation", left, right: expression(0) }
+  }
+  if (peek()) throw unexpected()
+  return tree
+}
+
+const evaluate = (tree, scope = {}) => {
+  switch (tree.type) {
+    case "number": return tree.value
+    case "name":
+      if (!Object.hasOwn(scope, tree.name)) throw new ExpressionError(`unknown name "${tree.name}"`)
+      return Number(scope[tree.name])
+    case "unary": return -evaluate(tree.arg, scope)
+    case "binary": {
+      const a = evaluate(tree.left, scope), b = evaluate(tree.right, scope)
+      switch (tree.op) {
+        case "+": return a + b
+        case "-": return a - b
+        case "*": return a * b
+        case "/": return a / b
+        case "^": return a ** b
+      }
+    }
+    case "call":
+      if (!Object.hasOwn(functions, tree.name)) throw new ExpressionError(`unknown function "${tree.name}"`)
+      return functions[tree.name](...tree.args.map(arg => evaluate(arg, scope)))
+    case "equation": return evaluate(tree.left, scope) - evaluate(tree.right, scope)
+  }
+}
+
+// Every variable name an expression refers to
+const names = (tree, found = new Set()) => {
+  if (tree.type == "name") found.add(tree.name)
+  for (const child of [tree.arg, tree.left, tree.right, ...(tree.args ?? [])])
+    if (child) names(child, found)
+  return found
+}
+
+export {
+  ExpressionError,
+  functions,
+  tokenize,
+  parse,
+  evaluate,
+  names,
+}
@@ -0,0 +1,60 @@
+// A history of the workspace, for undo and redo.
+// Each entry keeps the changes to the forms after a step (see workspace.mjs),
+// the form it happened in as [group_id, form_id], and a label saying what happened.
+// `index` is the entry currently shown; entries after it can be redone.
+
+const LIMIT = 200
+
+// Steps with the same key this close together are taken as one, as when typing a number
+const MERGE_WITHIN = 1000
+
+const start_history = (changes) => ({ entries: [{ label: "start", changes, time: 0 }], index: 0 })
+
+const same_changes = (a, b) => JSON.stringify(a) == JSON.stringify(b)
+
+// Add a step, dropping anything that could have been redone
+const record = (history, { at, label, key, changes, time = Date.now() }) => {
+  const entries = history.entries.slice(0, history.index + 1)
+  const last = entries.at(-1)
+  if (same_changes(last.changes, changes)) return history
+  const entry = { at, label, key, changes, time }
+  if (key && last.key == key && time - last.time < MERGE_WITHIN) entries[entries.length - 1] = entry
+  else entries.push(entry)
+  const kept = entries.slice(-LIMIT)
+  return { entries: kept, index: kept.length - 1 }
+}
+
+const can_undo = (history) => history.index > 0
+const can_redo = (history) => history.index < history.entries.length - 1
+
+const jump = (history, index) => ({ ...history, index: Math.min(Math.max(index, 0), history.entries.length - 1) })
+const undo = (history) => jump(history, history.index - 1)
+const redo = (history) => jump(history, history.index + 1)
+
+// The entries that happened in a form, with their indices, latest first
+const of_form = (history, [group_id, form_id]) => history.entries
+  .map((entry, index) => ({ ...entry, index }))
+  .filter(({ at }) => at && at[0] == group_id && at[1] == form_id)
+  .reverse()
+
+// Changes with one form taken from other changes, leaving the rest as they are
+const with_form = (changes, from, form_id) => {
+  const { [form_id]: _, ...forms } = changes.forms
+  return {
+    ...changes,
+    forms: from.forms[form_id] ? { ...forms, [form_id]: from.forms[form_id] } : forms,
+  }
+}
+
+export {
+  LIMIT,
+  start_history,
+  record,
+  can_undo,
+  can_redo,
+  jump,
+  undo,
+  redo,
+  of_form,
+  with_form,
+}
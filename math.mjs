@@ -0,0 +1,283 @@
+// Formulas as math: the expression trees of expression.mjs, written out as MathML or plain text
+// with real fractions, roots and powers, and with symbols such as L₁ and θ in place of ids
+
+import { parse } from "./expression.mjs"
+import { names as constant_names, symbols as constant_symbols } from "./constants.mjs"
+import { superscript } from "./display.mjs"
+
+// Read a hand-written formula such as ({ m, M }) => ( 10 ** ((m - M + 5) / 5) )
+// back into an expression. Formulas of custom forms carry their tree already
+const trees = new WeakMap()
+const formula_tree = (formula) => {
+  if (formula.tree) return formula.tree
+  if (!trees.has(formula)) trees.set(formula, parse(
+    formula.toString()
+    .replace(/^[^]*?=>/, "")
+    .replaceAll("Math.", "")
+  ))
+  return trees.get(formula)
+}
+
+// The relations that calculate a variable, as { tree, when }: its own formula,
+// the pieces of a piecewise form, or else the form's equation
+const relations_of = (form, v_id) => {
+  const formula = form.variables[v_id].formula
+  if (form.pieces) return form.pieces.map(piece => ({ tree: parse(piece.equation), when: piece.when }))
+  if (formula) return [{ tree: { type: "equation", left: { type: "name", name: v_id }, right: formula_tree(formula) } }]
+  return [{ tree: parse(form.equation) }]
+}
+
+const SUBSCRIPTS = { "₀": "0", "₁": "1", "₂": "2", "₃": "3", "₄": "4", "₅": "5", "₆": "6", "₇": "7", "₈": "8", "₉": "9", "ₐ": "a", "ₚ": "p", "ᵥ": "V" }
+
+// A symbol split into its base and subscript, as L₁ or H_0
+const split_symbol = (symbol) => {
+  const [base, subscript = ""] = symbol.split("_")
+  return {
+    base: [...base].filter(c => !(c in SUBSCRIPTS)).join(""),
+    subscript: subscript + [...base].filter(c => c in SUBSCRIPTS).map(c => SUBSCRIPTS[c]).join(""),
+  }
+}
+
+// How a name shows, and what it is
+const symbol_of = (form, name) =>
+    form.variables[name] ? { symbol: form.variables[name].symbol, title: form.variables[name].name.trim() }
+  : Object.hasOwn(constant_symbols, name) ? { symbol: constant_symbols[name], title: constant_names[name] ?? name }
+  : { symbol: name, title: name }
+
+// Big and small numbers as a power of ten
+const exponent_of = (value) => {
+  const magnitude = Math.abs(value)
+  if (magnitude == 0 || (magnitude >= 1e-3 && magnitude < 1e5)) return undefined
+  const exponent = Math.floor(Math.log10(magnitude) + 1e-12)
+  return { mantissa: Number((value / 10 ** exponent).toPrecision(10)), exponent }
+}
+
+const leftmost = (tree) =>
+    tree.type == "binary" && !(tree.op == "/" || needs_parentheses(tree.left, tree)) ? leftmost(tree.left)
+  : tree.type == "equation" ? leftmost(tree.left)
+  : tree
+
+// A number, or a constant shown by its value, such as 206265
+const numeric = (tree, form) => tree.type == "number" || (tree.type == "name" && /^\d/.test(symbol_of(form, tree.name).symbol))
+
+// Products are written side by side, with a dot where a number would run into the one before
+const dotted = (tree, form) => !needs_parentheses(tree.right, tree, "right") && numeric(leftmost(tree.right), form)
+
+// Parentheses that keep the reading of a tree inside another
+const needs_parentheses = (tree, parent, side = "left") => {
+  const sum = tree.type == "binary" && ["+", "-"].includes(tree.op)
+  if (parent.type == "unary") return sum
+  if (parent.type != "binary") return false
+  switch (parent.op) {
+    case "+": return false
+    case "-": return side == "right" && (sum || tree.type == "unary")
+    case "*": return sum || (side == "right" && tree.type == "unary")
+    case "/": return false
+    case "^": return side == "left" && (tree.type == "binary" || tree.type == "unary" || (tree.type == "number" && tree.value < 0))
+  }
+}
+
+const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c])
+
+const element = (tag, content, attributes = {}) =>
+  `<${tag}${Object.entries(attributes).map(([k, v]) => ` ${k}="${escape(v)}"`).join("")}>${content}</${tag}>`
+
+const mrow = (...children) => element("mrow", children.join(""))
+const mo = (op) => element("mo", escape(op))
+const fenced = (content) => mrow(mo("("), content, mo(")"))
+
+const symbol_mathml = ({ symbol, title }) => {
+  const { base, subscript } = split_symbol(symbol)
+  const main = isFinite(base) ? element("mn", escape(base)) : element("mi", escape(base))
+  return subscript
+    ? element("msub", main + element(isFinite(subscript) ? "mn" : "mi", escape(subscript), { mathvariant: "normal" }), { title })
+    : main.replace(/^<(m[in])>/, `<$1 title="${escape(title)}">`)
+}
+
+const number_mathml = (value) => {
+  const power = exponent_of(value)
+  if (!power) return element("mn", escape(Math.abs(value)))
+  const ten = element("msup", element("mn", "10") + (power.exponent < 0
+    ? mrow(mo("−"), element("mn", -power.exponent))
+    : element("mn", power.exponent)))
+  return Math.abs(power.mantissa) == 1 ? ten : mrow(element("mn", Math.abs(power.mantissa)), mo("×"), ten)
+}
+
+const FUNCTION_NAMES = { ln: "ln", log: "ln", exp: "exp", sin: "sin", cos: "cos", tan: "tan", asin: "arcsin", acos: "arccos", atan: "arctan", min: "min", max: "max" }
+
+const mathml_of = (tree, form) => {
+  const inner = (child, side) => needs_parentheses(child, tree, side)
+    ? fenced(mathml_of(child, form))
+    : mathml_of(child, form)
+  switch (tree.type) {
+    case "number": return tree.value < 0 ? mrow(mo("−"), number_mathml(tree.value)) : number_mathml(tree.value)
+    case "name": return symbol_mathml(symbol_of(form, tree.name))
+    case "unary": return mrow(mo("−"), inner(tree.arg))
+    case "equation": return mrow(mathml_of(tree.left, form), mo("="), mathml_of(tree.right, form))
+    case "binary":
+      switch (tree.op) {
+        case "/": return element("mfrac", mrow(mathml_of(tree.left, form)) + mrow(mathml_of(tree.right, form)))
+        case "^": return element("msup", mrow(inner(tree.left, "left")) + mrow(mathml_of(tree.right, form)))
+        case "*": return mrow(inner(tree.left, "left"), mo(dotted(tree, form) ? "·" : "\u2062"), inner(tree.right, "right"))
+        default: return mrow(inner(tree.left, "left"), mo(tree.op == "-" ? "−" : "+"), inner(tree.right, "right"))
+      }
+    case "call": {
+      const args = tree.args.map(arg => mathml_of(arg, form))
+      switch (tree.name) {
+        case "sqrt": return element("msqrt", args[0])
+        case "cbrt": return element("mroot", mrow(args[0]) + element("mn", "3"))
+        case "abs": return mrow(mo("|"), args[0], mo("|"))
+        case "pow": return mathml_of({ type: "binary", op: "^", left: tree.args[0], right: tree.args[1] }, form)
+        case "log10": return mrow(element("msub", element("mi", "log") + element("mn", "10")), fenced(args[0]))
+        default: return mrow(element("mi", escape(FUNCTION_NAMES[tree.name] ?? tree.name)), fenced(args.join(mo(","))))
+      }
+    }
+  }
+}
+
+const condition_mathml = (when, form) => Object.entries(when ?? {}).map(([v_id, domain]) =>
+  mrow(mo(","), symbol_mathml(symbol_of(form, v_id)), mo("∈"), element("mtext", escape(domain)))
+).join("")
+
+// A relation as a <math> element
+const to_mathml = ({ tree, when }, form) =>
+  element("math", mrow(mathml_of(tree, form), condition_mathml(when, form)))
+
+const DIGITS = Object.fromEntries(Object.entries(SUBSCRIPTS).filter(([, c]) => isFinite(c)).map(([sub, c]) => [c, sub]))
+
+// Symbols in text keep their own subscripts, and subscript digits such as H_0 become H₀
+const symbol_text = ({ symbol }) => {
+  const [base, subscript] = symbol.split("_")
+  return subscript === undefined ? base
+    : /^\d+$/.test(subscript) ? base + [...subscript].map(c => DIGITS[c]).join("")
+    : `${base}_${subscript}`
+}
+
+const number_text = (value) => {
+  const power = exponent_of(value)
+  if (!power) return String(value)
+  const ten = "10" + superscript(power.exponent)
+  return power.mantissa == 1 ? ten : `${power.mantissa}×${ten}`
+}
+
+const text_of = (tree, form) => {
+  const inner = (child, side) => needs_parentheses(child, tree, side)
+    ? `(${text_of(child, form)})`
+    : text_of(child, form)
+  switch (tree.type) {
+    case "number": return number_text(tree.value)
+    case "name": return symbol_text(symbol_of(form, tree.name))
+    case "unary": return "−" + inner(tree.arg)
+    case "equation": return `${text_of(tree.left, form)} = ${text_of(tree.right, form)}`
+    case "binary":
+      switch (tree.op) {
+        // Fractions written on one line need their sums bracketed, and products below them
+        case "/": {
+          const bracketed = (child, side) => child.type == "unary"
+            || (child.type == "binary" && (["+", "-"].includes(child.op) || (side == "right" && child.op != "^")))
+          const side = (child, side) => bracketed(child, side) ? `(${text_of(child, form)})` : text_of(child, form)
+          return `${side(tree.left, "left")}/${side(tree.right, "right")}`
+        }
+        case "^": {
+          const exponent = text_of(tree.right, form)
+          return /^-?\d+$/.test(exponent)
+            ? inner(tree.left, "left") + superscript(exponent)
+            : `${inner(tree.left, "left")}^(${exponent})`
+        }
+        case "*": return `${inner(tree.left, "left")}${dotted(tree, form) ? "·" : " "}${inner(tree.right, "right")}`
+        default: return `${inner(tree.left, "left")} ${tree.op == "-" ? "−" : "+"} ${inner(tree.right, "right")}`
+      }
+    case "call": {
+      const args = tree.args.map(arg => text_of(arg, form))
+      switch (tree.name) {
+        case "sqrt": return `√(${args[0]})`
+        case "cbrt": return `∛(${args[0]})`
+        case "abs": return `|${args[0]}|`
+        case "pow": return text_of({ type: "binary", op: "^", left: tree.args[0], right: tree.args[1] }, form)
+        case "log10": return `log₁₀(${args[0]})`
+        default: return `${FUNCTION_NAMES[tree.name] ?? tree.name}(${args.join(", ")})`
+      }
+    }
+  }
+}
+
+// A relation as one line of text, as in "θ = 206265·d/D"
+const to_text = ({ tree, when }, form) => text_of(tree, form)
+  + Object.entries(when ?? {}).map(([v_id, domain]) => `, ${symbol_text(symbol_of(form, v_id))} ∈ ${domain}`).join("")
+
+// LaTeX commands for the letters and signs of symbols, which pdfLaTeX can't take as they are
+const TEX_LETTERS = Object.fromEntries([
+  ..."αβγδεζηθικλμνξπρστυφχψω".split("").map((c, i) => [c, "\\" + [
+    "alpha", "beta", "gamma", "delta", "epsilon", "zeta", "eta", "theta", "iota", "kappa", "lambda", "mu",
+    "nu", "xi", "pi", "rho", "sigma", "tau", "upsilon", "phi", "chi", "psi", "omega",
+  ][i]]),
+  ..."ΓΔΘΛΞΠΣΦΨΩ".split("").map((c, i) => [c, "\\" + ["Gamma", "Delta", "Theta", "Lambda", "Xi", "Pi", "Sigma", "Phi", "Psi", "Omega"][i]]),
+  ["µ", "\\mu"], ["∞", "\\infty"], ["⊙", "\\odot"], ["⊕", "\\oplus"], ["∈", "\\in"], ["−", "-"],
+])
+const TEX_SPECIAL = { "#": "\\#", "$": "\\$", "%": "\\%", "&": "\\&", "{": "\\{", "}": "\\}", "_": "\\_", "~": "\\sim", "^": "\\hat{}" }
+
+const tex_chars = (text) => [...String(text)].map(c =>
+  c in TEX_LETTERS ? TEX_LETTERS[c] + " " : c in TEX_SPECIAL ? TEX_SPECIAL[c] : c
+).join("").trim()
+
+const symbol_tex = ({ symbol }) => {
+  const { base, subscript } = split_symbol(symbol)
+  return tex_chars(base) + (!subscript ? "" : isFinite(subscript) ? `_{${subscript}}` : `_{\\mathrm{${tex_chars(subscript)}}}`)
+}
+
+const number_tex = (value) => {
+  const power = exponent_of(value)
+  if (!power) return String(Math.abs(value))
+  const ten = `10^{${power.exponent}}`
+  return Math.abs(power.mantissa) == 1 ? ten : `${Math.abs(power.mantissa)} \\times ${ten}`
+}
+
+const TEX_FUNCTIONS = { ln: "\\ln", log: "\\ln", exp: "\\exp", sin: "\\sin", cos: "\\cos", tan: "\\tan", asin: "\\arcsin", acos: "\\arccos", atan: "\\arctan", min: "\\min", max: "\\max" }
+
+const tex_fenced = (content) => `\\left(${content}\\right)`
+
+const tex_of = (tree, form) => {
+  const inner = (child, side) => needs_parentheses(child, tree, side)
+    ? tex_fenced(tex_of(child, form))
+    : tex_of(child, form)
+  switch (tree.type) {
+    case "number": return (tree.value < 0 ? "-" : "") + number_tex(tree.value)
+    case "name": return symbol_tex(symbol_of(form, tree.name))
+    case "unary": return "-" + inner(tree.arg)
+    case "equation": return `${tex_of(tree.left, form)} = ${tex_of(tree.right, form)}`
+    case "binary":
+      switch (tree.op) {
+        case "/": return `\\frac{${tex_of(tree.left, form)}}{${tex_of(tree.right, form)}}`
+        case "^": return `{${inner(tree.left, "left")}}^{${tex_of(tree.right, form)}}`
+        case "*": return `${inner(tree.left, "left")} ${dotted(tree, form) ? "\\cdot " : ""}${inner(tree.right, "right")}`
+        default: return `${inner(tree.left, "left")} ${tree.op} ${inner(tree.right, "right")}`
+      }
+    case "call": {
+      const args = tree.args.map(arg => tex_of(arg, form))
+      switch (tree.name) {
+        case "sqrt": return `\\sqrt{${args[0]}}`
+        case "cbrt": return `\\sqrt[3]{${args[0]}}`
+        case "abs": return `\\left|${args[0]}\\right|`
+        case "pow": return tex_of({ type: "binary", op: "^", left: tree.args[0], right: tree.args[1] }, form)
+        case "log10": return `\\log_{10}${tex_fenced(args[0])}`
+        default: return `${TEX_FUNCTIONS[tree.name] ?? `\\operatorname{${tex_chars(tree.name)}}`}${tex_fenced(args.join(", "))}`
+      }
+    }
+  }
+}
+
+// A relation as LaTeX math, without the $ around it, as in "\theta = 206265 \cdot \frac{d}{D}"
+const to_tex = ({ tree, when }, form) => tex_of(tree, form)
+  + Object.entries(when ?? {}).map(([v_id, domain]) => `,\\ ${symbol_tex(symbol_of(form, v_id))} \\in ${tex_chars(domain)}`).join("")
+
+export {
+  SUBSCRIPTS,
+  formula_tree,
+  relations_of,
+  split_symbol,
+  to_mathml,
+  to_text,
+  TEX_LETTERS,
+  symbol_tex,
+  to_tex,
+}
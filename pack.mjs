@@ -0,0 +1,271 @@
+// Formula packs: groups of forms kept outside data.mjs, loaded from files or URLs.
+// A pack is JSON, or an ES module whose default export is the same object, shaped like `data`
+// and described in pack.schema.json:
+//   { "format": "astroformulatron-pack", "version": 1, "id": "radiation", "name": "Radiation formulas",
+//     "constants": { "SIGMA_T": { "name": "Thomson cross-section", "symbol": "σ_T", "value": 6.6524587e-29, "unit": "m^2" } },
+//     "groups": { "radiation": { "name": "Radiation", "forms": { "thomson-force": {
+//       "name": "...", "equation": "F = SIGMA_T*L/(4*PI*LIGHT_SPEED*r^2)", "order": ["F", "L", "r"],
+//       "variables": { "F": { "name": "force", "symbol": "F", "value": 1e-15, "unit": "N" }, ... } } } } } }
+// Formulas are expressions of expression.mjs rather than functions, so JSON packs run no code.
+// A mistake is reported with where it is, as groups.radiation.forms.thomson-force.variables.F.unit.
+// No pack can take a group, form or constant id already in use
+
+import { constants } from "./data.mjs"
+import { UnitError, parse as parse_unit } from "./units.mjs"
+import { ExpressionError, functions, parse, names } from "./expression.mjs"
+import { SolveError, parse_domain, in_domain, prepare_form } from "./engine.mjs"
+import { quantities } from "./catalog.mjs"
+import { add_constants } from "./constants.mjs"
+import { GROUP as CUSTOM_GROUP, formula_of } from "./custom.mjs"
+
+class PackError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "PackError"
+  }
+}
+
+const FORMAT = "astroformulatron-pack"
+const PACK_VERSION = 1
+
+// Names are keys of plain objects, where __proto__ would set the prototype
+const NAME = /^(?!__proto__$)[\p{L}_][\p{L}\p{N}_]*$/u
+const ID = /^[a-z0-9]+(-[a-z0-9]+)*$/
+
+// Checks that throw with the path of what they check
+const fail = (path, message) => { throw new PackError(`${path}: ${message}`) }
+const is_object = (x) => typeof x == "object" && x !== null && !Array.isArray(x)
+const object = (x, path) => is_object(x) ? x : fail(path, "should be an object")
+const string = (x, path) => typeof x == "string" && x.trim() ? x : fail(path, "should be some text")
+const number = (x, path) => typeof x == "number" && isFinite(x) ? x : fail(path, "should be a number")
+const only = (x, fields, path) => {
+  for (const field in x) if (!fields.includes(field)) fail(path ? `${path}.${field}` : field, `is not a field of ${fields.join(", ")}`)
+}
+const id = (x, path) => ID.test(x) ? x : fail(path, `"${x}" should be lower-case words joined by -`)
+
+const unit = (x, path) => {
+  string(x, path)
+  try {
+    parse_unit(x)
+  } catch (error) {
+    if (!(error instanceof UnitError)) throw error
+    fail(path, error.message)
+  }
+  return x
+}
+
+const domain = (x, path) => {
+  try {
+    parse_domain(string(x, path))
+  } catch (error) {
+    if (!(error instanceof SolveError)) throw error
+    fail(path, error.message)
+  }
+  return x
+}
+
+// An expression using only the names known to the form
+const expression = (source, known, path) => {
+  let tree
+  try {
+    tree = parse(string(source, path))
+  } catch (error) {
+    if (!(error instanceof ExpressionError)) throw error
+    fail(path, error.message)
+  }
+  for (const name of names(tree)) if (!known.has(name)) fail(path, `unknown name "${name}"`)
+  return tree
+}
+
+const VARIABLE_FIELDS = ["name", "symbol", "value", "unit", "formula", "domain", "quantity"]
+
+const variable = (v, v_id, known, path) => {
+  object(v, path)
+  only(v, VARIABLE_FIELDS, path)
+  const checked = {
+    name: string(v.name, `${path}.name`),
+    symbol: string(v.symbol, `${path}.symbol`),
+    value: number(v.value, `${path}.value`),
+  }
+  if (v.unit !== undefined && v.unit !== "") checked.unit = unit(v.unit, `${path}.unit`)
+  if (v.domain !== undefined) checked.domain = domain(v.domain, `${path}.domain`)
+  if (checked.domain !== undefined && !in_domain(checked.domain, checked.value))
+    fail(`${path}.value`, `${checked.value} is outside ${checked.domain}`)
+  if (v.quantity !== undefined && !Object.hasOwn(quantities, v.quantity))
+    fail(`${path}.quantity`, `unknown quantity "${v.quantity}", not one of ${Object.keys(quantities).join(", ")}`)
+  if (v.quantity !== undefined) checked.quantity = v.quantity
+  if (v.formula !== undefined) {
+    const tree = expression(v.formula, known, `${path}.formula`)
+    if (tree.type == "equation") fail(`${path}.formula`, 'is only the right-hand side, without "="')
+    if (names(tree).has(v_id)) fail(`${path}.formula`, `can't use ${v_id} itself`)
+    checked.formula = formula_of(tree)
+  }
+  return checked
+}
+
+const equation = (source, known, path) => {
+  const tree = expression(source, known, path)
+  if (tree.type != "equation") fail(path, 'needs an "="')
+  return tree
+}
+
+const FORM_FIELDS = ["name", "description", "equation", "pieces", "dimensional", "order", "variables"]
+
+const form = (f, constant_ids, path) => {
+  object(f, path)
+  only(f, FORM_FIELDS, path)
+  const ids = Object.keys(object(f.variables, `${path}.variables`))
+  if (ids.length < 2) fail(`${path}.variables`, "should have at least two variables")
+  for (const v_id of ids) if (!NAME.test(v_id) || Object.hasOwn(functions, v_id) || constant_ids.has(v_id))
+    fail(`${path}.variables.${v_id}`, "should be named with letters, digits and _, apart from the functions and constants")
+  const known = new Set([...ids, ...constant_ids])
+
+  if (!Array.isArray(f.order)) fail(`${path}.order`, "should be a list of the variables")
+  f.order.forEach((v_id, i) => {
+    if (!ids.includes(v_id)) fail(`${path}.order[${i}]`, `"${v_id}" is not a variable`)
+    if (f.order.indexOf(v_id) != i) fail(`${path}.order[${i}]`, `"${v_id}" is listed twice`)
+  })
+  const missing = ids.find(v_id => !f.order.includes(v_id))
+  if (missing) fail(`${path}.order`, `is missing "${missing}"`)
+
+  const checked = {
+    name: string(f.name, `${path}.name`),
+    ...(f.description !== undefined && { description: string(f.description, `${path}.description`) }),
+    order: [...f.order],
+    variables: Object.fromEntries(ids.map(v_id => [v_id, variable(f.variables[v_id], v_id, known, `${path}.variables.${v_id}`)])),
+  }
+  if (f.dimensional !== undefined) {
+    if (typeof f.dimensional != "boolean") fail(`${path}.dimensional`, "should be true or false")
+    checked.dimensional = f.dimensional
+  }
+  if (f.equation !== undefined && f.pieces !== undefined) fail(path, "has both an equation and pieces")
+  if (f.equation !== undefined) {
+    const tree = equation(f.equation, known, `${path}.equation`)
+    const unused = ids.find(v_id => !names(tree).has(v_id))
+    if (unused) fail(`${path}.equation`, `doesn't use ${unused}`)
+    checked.equation = f.equation
+  }
+  if (f.pieces !== undefined) {
+    if (!Array.isArray(f.pieces) || !f.pieces.length) fail(`${path}.pieces`, "should be a list of { when, equation }")
+    checked.pieces = f.pieces.map((piece, i) => {
+      const at = `${path}.pieces[${i}]`
+      object(piece, at)
+      only(piece, ["when", "equation"], at)
+      equation(piece.equation, known, `${at}.equation`)
+      for (const [v_id, d] of Object.entries(object(piece.when ?? {}, `${at}.when`))) {
+        if (!ids.includes(v_id)) fail(`${at}.when.${v_id}`, "is not a variable")
+        domain(d, `${at}.when.${v_id}`)
+      }
+      return { ...(piece.when && { when: { ...piece.when } }), equation: piece.equation }
+    })
+  }
+  if (!checked.equation && !checked.pieces) {
+    const without = ids.find(v_id => !checked.variables[v_id].formula)
+    if (without) fail(`${path}.variables.${without}`, "needs a formula, or the form an equation or pieces")
+  }
+  return checked
+}
+
+const CONSTANT_FIELDS = ["name", "symbol", "value", "unit"]
+
+// A pack checked against the schema, with its forms built as in data.mjs but not yet prepared.
+// `file` names the pack in error messages
+const check_pack = (json, file = "pack") => {
+  try {
+    object(json, "pack")
+    only(json, ["$schema", "format", "version", "id", "name", "description", "constants", "groups"], "")
+    if (json.format != FORMAT) fail("format", `should be "${FORMAT}"`)
+    if (!Number.isInteger(json.version) || json.version < 1) fail("version", "should be a whole number")
+    if (json.version > PACK_VERSION) fail("version", `${json.version} is newer than this version of astroformulatron reads`)
+    const pack = {
+      id: id(string(json.id, "id"), "id"),
+      name: string(json.name, "name"),
+      ...(json.description !== undefined && { description: string(json.description, "description") }),
+      constants: {},
+      groups: {},
+    }
+    for (const [c_id, c] of Object.entries(object(json.constants ?? {}, "constants"))) {
+      const path = `constants.${c_id}`
+      if (!NAME.test(c_id) || Object.hasOwn(functions, c_id)) fail(path, "should be named with letters, digits and _, apart from the functions")
+      object(c, path)
+      only(c, CONSTANT_FIELDS, path)
+      pack.constants[c_id] = {
+        name: string(c.name, `${path}.name`),
+        symbol: c.symbol === undefined ? c_id : string(c.symbol, `${path}.symbol`),
+        value: number(c.value, `${path}.value`),
+        unit: c.unit === undefined || c.unit === "" ? "" : unit(c.unit, `${path}.unit`),
+      }
+    }
+    const constant_ids = new Set([...Object.keys(constants), ...Object.keys(pack.constants)])
+    const groups = Object.entries(object(json.groups, "groups"))
+    if (!groups.length) fail("groups", "should have at least one group")
+    const form_ids = new Set()
+    for (const [g_id, g] of groups) {
+      const path = `groups.${g_id}`
+      id(g_id, path)
+      if (g_id == CUSTOM_GROUP) fail(path, `the group "${CUSTOM_GROUP}" is kept for custom forms`)
+      object(g, path)
+      only(g, ["name", "forms"], path)
+      const forms = Object.entries(object(g.forms, `${path}.forms`))
+      if (!forms.length) fail(`${path}.forms`, "should have at least one form")
+      pack.groups[g_id] = {
+        name: string(g.name, `${path}.name`),
+        forms: Object.fromEntries(forms.map(([f_id, f]) => {
+          const at = `${path}.forms.${f_id}`
+          if (form_ids.has(id(f_id, at))) fail(at, `another group of the pack has a form called "${f_id}"`)
+          form_ids.add(f_id)
+          return [f_id, form(f, constant_ids, at)]
+        })),
+      }
+    }
+    return pack
+  } catch (error) {
+    if (!(error instanceof PackError)) throw error
+    throw new PackError(`${file}: ${error.message}`)
+  }
+}
+
+// Put packs into `source` in place of those put there before, along with their constants.
+// A pack whose groups, forms or constants have ids already in use is left out whole,
+// as are packs that don't check. Returns the mistakes, as [{ file, message }]
+const add_packs = (source, packs) => {
+  for (const g_id in source) if (source[g_id].pack) delete source[g_id]
+  add_constants({})
+  const errors = [], extra = {}, ids = new Set()
+  const form_group = (f_id) => Object.keys(source).find(g_id => Object.hasOwn(source[g_id].forms, f_id))
+  for (const { file, json } of packs) {
+    try {
+      const pack = check_pack(json, file)
+      if (ids.has(pack.id)) throw new PackError(`${file}: a pack called "${pack.id}" is already loaded`)
+      for (const c_id in pack.constants)
+        if (Object.hasOwn(constants, c_id) || Object.hasOwn(extra, c_id))
+          throw new PackError(`${file}: constants.${c_id}: there is already a constant called "${c_id}"`)
+      for (const [g_id, g] of Object.entries(pack.groups)) {
+        if (Object.hasOwn(source, g_id)) throw new PackError(`${file}: groups.${g_id}: there is already a group called "${g_id}"`)
+        for (const f_id in g.forms) {
+          const taken = form_group(f_id)
+          if (taken) throw new PackError(`${file}: groups.${g_id}.forms.${f_id}: there is already a form called "${f_id}" in ${source[taken].name}`)
+        }
+      }
+      for (const [g_id, g] of Object.entries(pack.groups)) {
+        for (const f_id in g.forms) prepare_form(g.forms[f_id])
+        source[g_id] = { ...g, pack: pack.id }
+      }
+      Object.assign(extra, pack.constants)
+      ids.add(pack.id)
+    } catch (error) {
+      if (!(error instanceof PackError)) throw error
+      errors.push({ file, message: error.message })
+    }
+  }
+  add_constants(extra)
+  return errors
+}
+
+export {
+  PackError,
+  FORMAT,
+  PACK_VERSION,
+  check_pack,
+  add_packs,
+}
@@ -0,0 +1,87 @@
+// The changes to the forms (see workspace.mjs) as text for the URL hash, such as
+//   #stellar~kepler:a,P=2.5,m1@kilograms$5%25,m2;vis-viva*:v,r&parallax.d/distance-modulus.d
+// An optional #group-id anchor comes before the "~".
+// Each form lists its variables in calculation order, with a value (in the default unit)
+// after "=", a unit after "@" and an uncertainty after "$" where they have changed.
+// A "*" marks Monte Carlo propagation.
+// Links between forms follow the "&", as from_form.variable/to_form.variable, with the default
+// links taken away as -to_form.variable, and the constants follow another "&", as preset:option or CONSTANT=value
+
+const encode_constants = ({ presets = {}, overrides = {} }) => [
+  ...Object.entries(presets).map(([p_id, o_id]) => `${p_id}:${encodeURIComponent(o_id)}`),
+  ...Object.entries(overrides).map(([c_id, value]) => `${c_id}=${value}`),
+].join(",")
+
+const encode = ({ forms = {}, links = [], unlinked = [], constants }) =>
+  Object.entries(forms).map(([f_id, f]) =>
+    f_id + (f.propagation == "monte-carlo" ? "*" : "") + ":" + f.order.map(v_id => {
+      const { value, unit, uncertainty } = f.variables[v_id] ?? {}
+      return v_id
+        + (value != undefined ? "=" + value : "")
+        + (unit != undefined ? "@" + encodeURIComponent(unit) : "")
+        + (uncertainty != undefined ? "$" + encodeURIComponent(uncertainty) : "")
+    }).join(",")
+  ).join(";")
+  + (links.length || unlinked.length || constants ? "&" + [
+    ...links.map(({ from, to }) => `${from.join(".")}/${to.join(".")}`),
+    ...unlinked.map(to => `-${to.join(".")}`),
+  ].join(",") : "")
+  + (constants ? "&" + encode_constants(constants) : "")
+
+// Text that doesn't parse is left out
+const decode = (text) => {
+  const [forms = "", links = "", constants] = text.split("&")
+  const changes = { forms: {}, links: [], unlinked: [] }
+
+  for (const part of forms.split(";")) {
+    const [, f_id, monte_carlo, entries] = part.match(/^([^:*]+)(\*?):(.*)$/s) ?? []
+    if (!f_id) continue
+    const form = changes.forms[f_id] = { order: [], variables: {} }
+    if (monte_carlo) form.propagation = "monte-carlo"
+    for (const entry of entries.split(",")) {
+      const [, v_id, value, unit, uncertainty] = entry.match(/^([^=@$]+)(?:=([^@$]*))?(?:@([^$]*))?(?:\$(.*))?$/s) ?? []
+      if (!v_id) continue
+      form.order.push(v_id)
+      const v = {}
+      if (value != undefined) v.value = Number(value)
+      if (unit != undefined) v.unit = decodeURIComponent(unit)
+      if (uncertainty != undefined) v.uncertainty = decodeURIComponent(uncertainty)
+      if (Object.keys(v).length) form.variables[v_id] = v
+    }
+  }
+
+  for (const link of links.split(",")) {
+    const [, removed] = link.match(/^-(.*)$/s) ?? []
+    if (removed?.split(".").length == 2) changes.unlinked.push(removed.split("."))
+    const [from, to] = link.split("/").map(end => end.split("."))
+    if (from?.length == 2 && to?.length == 2) changes.links.push({ from, to })
+  }
+
+  if (constants != undefined) {
+    changes.constants = { presets: {}, overrides: {} }
+    for (const part of constants.split(",")) {
+      const [, id, separator, value] = part.match(/^([^:=]+)([:=])(.*)$/s) ?? []
+      if (separator == ":") changes.constants.presets[id] = decodeURIComponent(value)
+      if (separator == "=") changes.constants.overrides[id] = Number(value)
+    }
+  }
+
+  return changes
+}
+
+// Split a hash into its anchor and its state
+const split_hash = (hash) => {
+  const [anchor, state = ""] = hash.replace(/^#/, "").split(/~(.*)/s)
+  return { anchor, state }
+}
+
+// Empty when there is neither
+const join_hash = (anchor, state) =>
+  anchor || state ? "#" + anchor + (state ? "~" + state : "") : ""
+
+export {
+  encode,
+  decode,
+  split_hash,
+  join_hash,
+}
@@ -0,0 +1,182 @@
+// Sweeping one variable of a form over a range to chart another, drawn as SVG.
+// Plots are trees of { tag, attributes, children } with strings for text, which
+// script.js turns into Hyperapp nodes and `svg_text` into a file
+
+import { data } from "./data.mjs"
+import { UnitError } from "./units.mjs"
+import { SolveError, find_form, solve } from "./engine.mjs"
+import { superscript } from "./display.mjs"
+
+class PlotError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "PlotError"
+  }
+}
+
+const SCALES = ["linear", "log"]
+
+// `steps` values from `from` to `to`, evenly or logarithmically spaced
+const spaced = (from, to, steps, scale = "linear") => {
+  if (!isFinite(from) || !isFinite(to)) throw new PlotError("the range should be two numbers")
+  if (!(steps >= 2)) throw new PlotError("a sweep needs at least 2 steps")
+  if (scale == "log" && !(from > 0 && to > 0)) throw new PlotError("a log range should be above 0")
+  const [a, b] = scale == "log" ? [Math.log10(from), Math.log10(to)] : [from, to]
+  return Array.from({ length: steps }, (_, i) => {
+    const t = a + (b - a) * i / (steps - 1)
+    return scale == "log" ? 10 ** t : t
+  })
+}
+
+// Solve for `y` at every value of `x`, with the other variables at their values in `source`.
+// A `family` of { variable, values } draws a curve for each of its values.
+// Points that can't be solved are null, breaking the curve there
+const sweep = (form_id, { x, y, from, to, steps = 50, scale = "linear", units = {}, family, source = data }) => {
+  const form = find_form(form_id, source)
+  for (const v_id of [x, y, family?.variable].filter(v => v !== undefined))
+    if (!Object.hasOwn(form.variables, v_id)) throw new PlotError(`unknown variable "${v_id}" in form "${form_id}"`)
+  if (x == y) throw new PlotError("the swept variable can't also be the one charted")
+  if (family && [x, y].includes(family.variable)) throw new PlotError("the family should sweep a third variable")
+
+  const known = (v_id, value) => units[v_id] ? [value, units[v_id]] : value
+  const xs = spaced(from, to, steps, scale)
+  return (family?.values ?? [undefined]).map(value => ({
+    value,
+    points: xs.map(x_value => {
+      const knowns = { [x]: known(x, x_value) }
+      if (family) knowns[family.variable] = known(family.variable, value)
+      try {
+        const solved = solve(form_id, knowns, { target: y, units: units[y] ? { [y]: units[y] } : {}, source })
+        return [x_value, solved[y][0]]
+      } catch (error) {
+        if (!(error instanceof SolveError || error instanceof UnitError)) throw error
+        return null
+      }
+    }),
+  }))
+}
+
+const power = (exponent) => "10" + superscript(exponent)
+
+const tick_label = (x) => {
+  if (x == 0) return "0"
+  const exponent = Math.floor(Math.log10(Math.abs(x)) + 1e-9)
+  if (exponent >= -2 && exponent < 4) return String(Number(x.toPrecision(3)))
+  const mantissa = Number((x / 10 ** exponent).toPrecision(3))
+  return mantissa == 1 ? power(exponent) : `${mantissa}×${power(exponent)}`
+}
+
+// Round steps of 1, 2 or 5 times a power of ten, or decades on a log scale
+const ticks = (min, max, scale = "linear") => {
+  if (scale == "log") {
+    const [low, high] = [Math.ceil(Math.log10(min) - 1e-9), Math.floor(Math.log10(max) + 1e-9)]
+    // Few decades get ticks at 2 and 5 times each power of ten too
+    if (high - low >= 1 && high - low < 3) return Array.from({ length: high - low + 2 }, (_, i) => low - 1 + i)
+      .flatMap(e => [1, 2, 5].map(m => m * 10 ** e))
+      .filter(t => t >= min * (1 - 1e-9) && t <= max * (1 + 1e-9))
+    if (high - low >= 3) {
+      const every = Math.ceil((high - low + 1) / 8)
+      return Array.from({ length: high - low + 1 }, (_, i) => low + i)
+        .filter(e => (e - low) % every == 0)
+        .map(e => 10 ** e)
+    }
+  }
+  const rough = (max - min) / 5
+  const magnitude = 10 ** Math.floor(Math.log10(rough))
+  const step = [1, 2, 5, 10].map(m => m * magnitude).find(s => s >= rough)
+  const first = Math.ceil(min / step - 1e-9)
+  return Array.from({ length: Math.floor(max / step + 1e-9) - first + 1 }, (_, i) => Number(((first + i) * step).toPrecision(12)))
+}
+
+// The range of some values, widened where it is a single point
+const extent = (values, scale) => {
+  let [min, max] = [Math.min(...values), Math.max(...values)]
+  if (min == max) [min, max] = scale == "log" ? [min / 10, max * 10] : [min - (Math.abs(min) || 1), max + (Math.abs(max) || 1)]
+  return [min, max]
+}
+
+const node = (tag, attributes = {}, children = []) => ({ tag, attributes, children })
+
+const COLOURS = ["#f0a030", "#40a0f0", "#e05070", "#60c060", "#b070e0", "#50d0c0"]
+const [WIDTH, HEIGHT] = [640, 400]
+const MARGIN = { top: 20, right: 20, bottom: 50, left: 80 }
+
+// A chart of the curves from `sweep`. Each axis is { label, scale }, and `legend`
+// names a curve of a family by its value
+const chart = (curves, { x, y, legend = (value) => String(value) }) => {
+  const usable = ([px, py]) => isFinite(py) && (x.scale != "log" || px > 0) && (y.scale != "log" || py > 0)
+  const points = curves.flatMap(c => c.points).filter(p => p && usable(p))
+  if (!points.length) throw new PlotError("nothing could be solved over this range")
+
+  const axis = (values, scale, from, to) => {
+    const [min, max] = extent(values, scale)
+    const [a, b] = scale == "log" ? [Math.log10(min), Math.log10(max)] : [min, max]
+    const at = (v) => Number((from + (to - from) * ((scale == "log" ? Math.log10(v) : v) - a) / (b - a)).toFixed(1))
+    return { at, ticks: ticks(min, max, scale) }
+  }
+  const [left, right, top, bottom] = [MARGIN.left, WIDTH - MARGIN.right, MARGIN.top, HEIGHT - MARGIN.bottom]
+  const h = axis(points.map(p => p[0]), x.scale, left, right)
+  const v = axis(points.map(p => p[1]), y.scale, bottom, top)
+
+  // Lines between neighbouring points that could both be solved
+  const segments = (c) => c.points
+    .reduce((runs, p) => {
+      if (p && usable(p)) runs[runs.length - 1].push(p)
+      else if (runs[runs.length - 1].length) runs.push([])
+      return runs
+    }, [[]])
+    .filter(run => run.length)
+
+  return node("svg", {
+    xmlns: "http://www.w3.org/2000/svg",
+    viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+    width: WIDTH,
+    height: HEIGHT,
+    "font-family": "sans-serif",
+    "font-size": 12,
+    class: "plot",
+  }, [
+    node("rect", { x: left, y: top, width: right - left, height: bottom - top, fill: "none", stroke: "#888" }),
+    ...h.ticks.map(t => node("g", {}, [
+      node("line", { x1: h.at(t), x2: h.at(t), y1: top, y2: bottom, stroke: "#8884" }),
+      node("text", { x: h.at(t), y: bottom + 16, "text-anchor": "middle", fill: "currentColor" }, [tick_label(t)]),
+    ])),
+    ...v.ticks.map(t => node("g", {}, [
+      node("line", { x1: left, x2: right, y1: v.at(t), y2: v.at(t), stroke: "#8884" }),
+      node("text", { x: left - 6, y: v.at(t) + 4, "text-anchor": "end", fill: "currentColor" }, [tick_label(t)]),
+    ])),
+    node("text", { x: (left + right) / 2, y: HEIGHT - 10, "text-anchor": "middle", fill: "currentColor" }, [x.label]),
+    node("text", {
+      x: 16, y: (top + bottom) / 2, "text-anchor": "middle", fill: "currentColor",
+      transform: `rotate(-90 16 ${(top + bottom) / 2})`,
+    }, [y.label]),
+    ...curves.flatMap((c, i) => segments(c).map(run => node("polyline", {
+      points: run.map(([px, py]) => `${h.at(px)},${v.at(py)}`).join(" "),
+      fill: "none",
+      stroke: COLOURS[i % COLOURS.length],
+      "stroke-width": 2,
+    }))),
+    ...(curves.length > 1 ? curves.map((c, i) => node("text", {
+      x: right - 8, y: top + 16 + 15 * i, "text-anchor": "end", fill: COLOURS[i % COLOURS.length],
+    }, [legend(c.value)])) : []),
+  ])
+}
+
+const escape = (s) => String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c])
+
+// A tree as SVG markup
+const svg_text = (tree) => typeof tree == "string"
+  ? escape(tree)
+  : `<${tree.tag}${Object.entries(tree.attributes).map(([k, v]) => ` ${k}="${escape(v)}"`).join("")}`
+    + (tree.children.length ? `>${tree.children.map(svg_text).join("")}</${tree.tag}>` : "/>")
+
+export {
+  PlotError,
+  SCALES,
+  spaced,
+  sweep,
+  tick_label,
+  ticks,
+  chart,
+  svg_text,
+}
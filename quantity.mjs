@@ -0,0 +1,198 @@
+// Values typed as text, such as
+//   2*1.496e11   sqrt(2)/3   4.2 ly   2*1.496e11 m   1 AU + 0.5 AU
+//   G*5.97e24 kg/(6.371e6 m)^2   12h 30m   1° 30′ 15″
+// Expressions are evaluated with the expression language of expression.mjs, never `eval`,
+// carrying dimensions so that constants and units convert into the unit asked for.
+// Plain numbers are taken to be in that unit already
+
+import { constants, constant_units } from "./data.mjs"
+import { UnitError, DIMENSIONS, parse as parse_unit, convert, format_dimension } from "./units.mjs"
+import { ExpressionError, functions, parse } from "./expression.mjs"
+
+class QuantityError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "QuantityError"
+  }
+}
+
+// Other names for constants, as they are usually written
+const aliases = { c: "LIGHT_SPEED", pi: "PI", "π": "PI", H0: "HUBBLE", "H₀": "HUBBLE" }
+
+const NONE = Object.fromEntries(DIMENSIONS.map(d => [d, 0]))
+const is_none = (dimension) => DIMENSIONS.every(d => Math.abs(dimension[d]) < 1e-9)
+const same = (a, b) => DIMENSIONS.every(d => Math.abs(a[d] - b[d]) < 1e-9)
+const times = (a, b, power = 1) => Object.fromEntries(DIMENSIONS.map(d => [d, a[d] + b[d] * power]))
+
+// A constant in SI units, with its dimension
+const constant = (name) => {
+  const c_id = aliases[name] ?? name
+  if (!Object.hasOwn(constants, c_id)) throw new QuantityError(`unknown name "${name}"`)
+  const { factor, dimension } = parse_unit(constant_units[c_id] ?? "")
+  return { value: constants[c_id] * factor, dimension }
+}
+
+// The SI value and dimension of an expression
+const measure = (tree) => {
+  switch (tree.type) {
+    case "number": return { value: tree.value, dimension: NONE }
+    case "name": return constant(tree.name)
+    case "unary": {
+      const { value, dimension } = measure(tree.arg)
+      return { value: -value, dimension }
+    }
+    case "binary": {
+      const a = measure(tree.left), b = measure(tree.right)
+      switch (tree.op) {
+        case "*": return { value: a.value * b.value, dimension: times(a.dimension, b.dimension) }
+        case "/": return { value: a.value / b.value, dimension: times(a.dimension, b.dimension, -1) }
+        case "^":
+          if (!is_none(b.dimension)) throw new QuantityError("an exponent can't have a unit")
+          return { value: a.value ** b.value, dimension: times(NONE, a.dimension, b.value) }
+        default:
+          if (!same(a.dimension, b.dimension))
+            throw new QuantityError(`can't ${tree.op == "+" ? "add" : "subtract"} ${format_dimension(a.dimension)} and ${format_dimension(b.dimension)}`)
+          return { value: tree.op == "+" ? a.value + b.value : a.value - b.value, dimension: a.dimension }
+      }
+    }
+    case "call": {
+      if (!Object.hasOwn(functions, tree.name)) throw new QuantityError(`unknown function "${tree.name}"`)
+      const args = tree.args.map(measure)
+      const value = functions[tree.name](...args.map(arg => arg.value))
+      if (tree.name == "sqrt") return { value, dimension: times(NONE, args[0].dimension, 1 / 2) }
+      if (tree.name == "cbrt") return { value, dimension: times(NONE, args[0].dimension, 1 / 3) }
+      if (["abs", "min", "max"].includes(tree.name)) {
+        if (args.some(arg => !same(arg.dimension, args[0].dimension))) throw new QuantityError(`${tree.name} of different units`)
+        return { value, dimension: args[0].dimension }
+      }
+      if (args.some(arg => !is_none(arg.dimension))) throw new QuantityError(`${tree.name} of ${format_dimension(args[0].dimension)}`)
+      return { value, dimension: NONE }
+    }
+    case "equation": throw new QuantityError('"=" is not a value')
+  }
+}
+
+// An SI value, converted into `unit` where the dimensions agree
+const into = ({ value, dimension }, unit) => {
+  const wanted = parse_unit(unit).dimension
+  if (!same(dimension, wanted))
+    throw new QuantityError(`${format_dimension(dimension)} can't be given in ${unit || "a plain number"}`)
+  return convert(value, format_dimension(dimension).replace(/^1$/, ""), unit)
+}
+
+// An expression alone: a plain number is in `unit`, and anything with constants is converted
+const expression_value = (text, unit) => {
+  const measured = measure(parse(text))
+  return is_none(measured.dimension) ? measured.value : into(measured, unit)
+}
+
+// An expression followed by a unit, as in "4.2 ly" or "3e8 m/s"
+const with_unit = (text, unit) => {
+  for (let i = text.length - 1; i > 0; i--) {
+    // Units start after a space, a number or a bracket, never inside a name
+    if (/\s/.test(text[i]) || /[\p{L}_]/u.test(text[i - 1])) continue
+    const [expression, suffix] = [text.slice(0, i).trim(), text.slice(i).trim()]
+    if (!expression || /^[\d.]/.test(suffix)) continue
+    let measured
+    try {
+      parse_unit(suffix)
+      measured = measure(parse(expression))
+    } catch (error) {
+      if (!(error instanceof UnitError || error instanceof ExpressionError || error instanceof QuantityError)) throw error
+      continue
+    }
+    // Units such as °C and mag can't be multiplied, so they take plain numbers only
+    if (is_none(measured.dimension)) return convert(measured.value, suffix, unit)
+    const { factor, dimension } = parse_unit(suffix)
+    if (factor === undefined) throw new QuantityError(`"${suffix}" can only follow a plain number`)
+    return into({ value: measured.value * factor, dimension: times(measured.dimension, dimension) }, unit)
+  }
+}
+
+// Times and angles written in parts, as in "12h 30m 15s" or "1° 30′ 15″".
+// After hours or days, "m" means minutes. Anything else, such as "2*1.496e11 m", is left to the expressions
+const PART = /\s*(\d+(?:\.\d*)?(?:e[-+]?\d+)?)\s*([^\d\s.]+)/y
+const PART_UNITS = { "'": "arcmin", "′": "arcmin", '"': "arcsec", "″": "arcsec" }
+const parts_value = (text, unit) => {
+  const parts = []
+  PART.lastIndex = 0
+  while (PART.lastIndex < text.length) {
+    const match = PART.exec(text)
+    if (!match) return undefined
+    parts.push([Number(match[1]), PART_UNITS[match[2]] ?? match[2]])
+  }
+  if (parts.length < 2) return undefined
+  const in_time = parts.some(([, u]) => ["h", "d", "min", "yr"].includes(u))
+  const units = parts.map(([, u]) => u == "m" && in_time ? "min" : u)
+  if (units.some(u => /[-+*/^()]/.test(u))) return undefined
+  try {
+    units.forEach(u => parse_unit(u))
+  } catch (error) {
+    if (!(error instanceof UnitError)) throw error
+    return undefined
+  }
+  return parts.reduce((sum, [value], i) => sum + convert(value, units[i], unit), 0)
+}
+
+// An expression, followed by a unit or not
+const term_value = (text, unit) => {
+  try {
+    return expression_value(text, unit)
+  } catch (error) {
+    if (!(error instanceof ExpressionError || error instanceof QuantityError)) throw error
+    const value = with_unit(text, unit)
+    if (value === undefined) throw error
+    return value
+  }
+}
+
+// Values with units added and subtracted, as in "1 AU + 1 AU" or "1 ly - 0.5 pc", term by term.
+// Signs inside brackets, after an operator or in an exponent such as 1e-5 don't split terms
+const sum_value = (text, unit) => {
+  const terms = []
+  let depth = 0, start = 0
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] == "(") depth++
+    if (text[i] == ")") depth--
+    if (depth || !"+-".includes(text[i])) continue
+    const before = text.slice(start, i).trim()
+    if (!before || /[-+*/^(]$|\d[eE]$/.test(before)) continue
+    terms.push(text.slice(start, i))
+    start = i
+  }
+  if (!terms.length) return undefined
+  terms.push(text.slice(start))
+  return terms.reduce((sum, term) => {
+    const [, sign, rest] = term.trim().match(/^([-+]?)(.*)$/s)
+    return sum + (sign == "-" ? -1 : 1) * term_value(rest, unit)
+  }, 0)
+}
+
+// The value of some text in `unit`
+const parse_quantity = (text, unit = "") => {
+  text = String(text ?? "").trim()
+  if (text == "") throw new QuantityError("enter a value")
+  try {
+    let value = parts_value(text, unit)
+    if (value === undefined) {
+      try {
+        value = term_value(text, unit)
+      } catch (error) {
+        if (!(error instanceof ExpressionError || error instanceof QuantityError)) throw error
+        value = sum_value(text, unit)
+        if (value === undefined) throw error
+      }
+    }
+    if (!isFinite(value)) throw new QuantityError(`${text} is not a finite number`)
+    return value
+  } catch (error) {
+    if (!(error instanceof ExpressionError || error instanceof UnitError)) throw error
+    throw new QuantityError(error.message)
+  }
+}
+
+export {
+  QuantityError,
+  aliases,
+  parse_quantity,
+}
@@ -0,0 +1,116 @@
+// Numerical root finding for forms that are defined by a single equation
+
+const MAX_ITERATIONS = 200
+const EPSILON = Number.EPSILON
+
+const opposite = (fa, fb) => (fa < 0 && fb > 0) || (fa > 0 && fb < 0)
+
+// Brent's method on a bracket [a, b] where f changes sign
+const brent = (f, a, b, fa = f(a), fb = f(b), tolerance = 0) => {
+  let c = b, fc = fb, d = 0, e = 0
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    if (!opposite(fb, fc) && fb != 0) {
+      c = a; fc = fa
+      d = e = b - a
+    }
+    if (Math.abs(fc) < Math.abs(fb)) {
+      a = b; b = c; c = a
+      fa = fb; fb = fc; fc = fa
+    }
+    const tol = 2 * EPSILON * Math.abs(b) + tolerance / 2
+    const m = (c - b) / 2
+    if (Math.abs(m) <= tol || fb == 0) return b
+
+    if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+      // Inverse quadratic interpolation, or secant if only two points are known
+      const s = fb / fa
+      let p, q
+      if (a == c) {
+        p = 2 * m * s
+        q = 1 - s
+      } else {
+        const r = fb / fc, t = fa / fc
+        p = s * (2 * m * t * (t - r) - (b - a) * (r - 1))
+        q = (t - 1) * (r - 1) * (s - 1)
+      }
+      if (p > 0) q = -q
+      else p = -p
+      if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+        e = d
+        d = p / q
+      } else {
+        d = e = m
+      }
+    } else {
+      d = e = m
+    }
+    a = b; fa = fb
+    b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol)
+    fb = f(b)
+  }
+  return NaN
+}
+
+// Search outward from x0 in doubling steps for sign changes of f, nearest first
+// The search stops at `min` and `max`, which are tried as points themselves
+function* brackets(f, x0, step, limit, min = -Infinity, max = Infinity) {
+  const f0 = f(x0)
+  if (f0 == 0) return yield [x0, x0, f0, f0]
+  const sides = [-1, 1].map(() => ({ x: x0, fx: f0, done: false }))
+  for (let d = step; d <= limit; d *= 2) {
+    for (const [i, side] of sides.entries()) {
+      if (side.done) continue
+      let x = x0 + (i ? d : -d)
+      if (x <= min || x >= max) {
+        x = i ? max : min
+        side.done = true
+      }
+      const fx = f(x)
+      if (!isFinite(fx)) continue
+      if (isFinite(side.fx) && opposite(side.fx, fx)) yield [side.x, x, side.fx, fx]
+      side.x = x
+      side.fx = fx
+    }
+  }
+}
+
+// Find a root of f near `guess`, between `min` and `max`.
+// Positive guesses are searched in log space first, so that quantities spanning
+// many orders of magnitude are found quickly, then the whole range is searched.
+// Returns NaN when no solution is found.
+const find_root = (f, guess = 1, { min = -Infinity, max = Infinity, log = true, linear = true } = {}) => {
+  if (min > max) return NaN
+  if (!isFinite(guess) || guess == 0) guess = 1
+  guess = Math.min(Math.max(guess, min), max)
+  if (!isFinite(guess)) guess = isFinite(min) ? min + 1 : max - 1
+
+  const attempts = []
+  if (log && guess > 0) attempts.push({
+    g: (u) => f(Math.exp(u)),
+    from: (u) => Math.exp(u),
+    start: Math.log(guess), step: 0.1, limit: 1500, tolerance: 4 * EPSILON,
+    min: min > 0 ? Math.log(min) : -Infinity, max: Math.log(max),
+  })
+  if (linear) attempts.push({
+    g: f,
+    from: (x) => x,
+    start: guess, step: Math.abs(guess) / 10 || 0.1, limit: (Math.abs(guess) || 1) * 2 ** 64,
+    tolerance: Math.abs(guess) * EPSILON, min, max,
+  })
+
+  for (const { g, from, start, step, limit, tolerance, min, max } of attempts) {
+    for (const [a, b, fa, fb] of brackets(g, start, step, limit, min, max)) {
+      const root = a == b ? a : brent(g, a, b, fa, fb, tolerance)
+      // A sign change across a pole is not a root
+      const residual = Math.abs(g(root))
+      if (isFinite(root) && residual <= Math.max(Math.abs(fa), Math.abs(fb))) return from(root)
+    }
+  }
+  return NaN
+}
+
+export {
+  brent,
+  brackets,
+  find_root,
+}
@@ -1,106 +1,1020 @@
-import { app, text } from "./hyperapp.mjs"
+import { app, h, memo, text } from "./hyperapp.mjs"
 import {
   main, section,
-  h1, h2, h3,
-  span, a, p,
-  label, form, input, select, option,
-  ul, li,
+  h1, h2, h3, nav,
+  div, span, a, p, mark,
+  label, form, input, select, option, button,
+  ul, ol, li,
+  table, thead, tbody, tr, th, td,
   summary, details,
-  code,
 } from "./hyperapp-html.mjs"
-import { data } from "./data.mjs"
-import { units, kindOfUnit, factorOfUnit } from "./units.mjs"
-
-const num_to_scientific = (x) => {
-  const arr = Number
-  .parseFloat(x.toPrecision(5))
-  .toExponential()
-  .split("e")
-  .map(n => Number.parseFloat(n))
-  return {
-    mantissa: arr[0],
-    exponent: arr[1]
-  }
-}
-
-// Preprocess data
-for (const group_id in data) {
-  const group = data[group_id]
-  for (const form_id in group.forms) {
-    const form = group.forms[form_id]
-    for (const variable_id in form.variables) {
-      const variable = form.variables[variable_id]
-      const scientific = num_to_scientific(variable.value)
-      variable.mantissa = scientific.mantissa
-      variable.exponent = scientific.exponent
-      variable.default_unit = variable.unit
-      variable.unit_ratio = 1
-      const i = form.order.indexOf(variable_id) / (form.order.length - 1)
-      variable.prefix = (
-          i == 1 ? '➡️'
-        : i == 0 ? '⭐'
-        : ''
-      )
+import { data, constants, constant_units } from "./data.mjs"
+import { units_like, convert } from "./units.mjs"
+import {
+  prepare, assign, find_form, recalculate, reorder, pin, set_unit, in_domain,
+  num_to_scientific, values_of, solver_for, to_display, display_scale,
+} from "./engine.mjs"
+import { parse_uncertainty, propagate, asymmetric } from "./uncertainty.mjs"
+import {
+  LinkError, add_link, remove_link, upstream, linked_in, flow, chains,
+  form_at, variable_at, same_variable,
+} from "./chains.mjs"
+import { encode, decode, split_hash, join_hash } from "./permalink.mjs"
+import { quantities, parse_catalog, merge, objects_for, value_for } from "./catalog.mjs"
+import { CSVError, parse_csv, format_csv, guess_columns, run_batch, augment } from "./batch.mjs"
+import { PlotError, SCALES, sweep, chart, svg_text } from "./plot.mjs"
+import { ExportError, report, formats, read_export } from "./export.mjs"
+import { relations_of, to_mathml, to_text } from "./math.mjs"
+import { QuantityError, parse_quantity } from "./quantity.mjs"
+import { search, score_text, by_group, runs } from "./search.mjs"
+import { NOTATIONS, MAX_DIGITS, DEFAULT_DISPLAY, display_settings, join, parts, prefixed, times_ten, format_number } from "./display.mjs"
+import { snapshot, capture, apply, load, save } from "./workspace.mjs"
+import { CustomFormError, GROUP, slug, build_form, add_custom, write_custom, read_custom } from "./custom.mjs"
+import { add_packs } from "./pack.mjs"
+import { check_form } from "./validate.mjs"
+import { names as constant_names, fixed as fixed_constants, presets, normalise } from "./constants.mjs"
+import {
+  start_history, record, can_undo, can_redo, undo, redo, of_form, with_form,
+} from "./history.mjs"
+
+prepare(data)
+const defaults = snapshot(data)
+
+const mark_order = (form) => {
+  for (const v_id of form.order) {
+    const i = form.order.indexOf(v_id) / (form.order.length - 1)
+    form.variables[v_id].prefix = (
+        i == 1 ? '➡️'
+      : i == 0 ? '⭐'
+      : ''
+    )
+  }
+}
+for (const group_id in data)
+  for (const form_id in data[group_id].forms)
+    mark_order(data[group_id].forms[form_id])
+
+// Absolute uncertainty of an input, in its default unit
+const sigma_of = (v) => parse_uncertainty(v.uncertainty, to_display(v, v.value)) * Math.abs(display_scale(v))
+
+// Propagate the uncertainties of the inputs to the first-to-be-calculated variable
+const propagate_form = (form) => {
+  const target = form.variables[form.order[0]]
+  const sigmas = Object.fromEntries(form.order.slice(1).map(v_id => [v_id, sigma_of(form.variables[v_id])]))
+  target.error = (
+      Object.values(sigmas).some(isNaN) ? undefined
+    : Object.values(sigmas).some(Boolean) ? propagate(solver_for(form), values_of(form), sigmas, { mode: form.propagation })
+    : undefined
+  )
+}
+
+// Push a form's values along its links into the forms downstream
+const flow_from = (state, group_id, form_id) => {
+  for (const at of flow(state.data, state.links, [group_id, form_id])) {
+    const form = form_at(state.data, at)
+    mark_order(form)
+    propagate_form(form)
+  }
+}
+
+// The changes kept in a URL hash, if any
+const from_hash = (hash) => {
+  const { state } = split_hash(hash)
+  try {
+    return state ? decode(state) : undefined
+  } catch (error) {
+    if (!(error instanceof URIError)) throw error
+  }
+}
+
+const changes_of = (state) => capture(state.data, state.links, defaults, state.constant_set)
+
+// Apply saved changes over the defaults
+const restore = (state, changes) => {
+  const { links, constants } = apply(changes, defaults, state.data)
+  for (const group_id in state.data)
+    for (const form_id in state.data[group_id].forms) {
+      mark_order(state.data[group_id].forms[form_id])
+      propagate_form(state.data[group_id].forms[form_id])
+    }
+  const next = { ...state, links, constant_set: constants, linking: null, link_error: "" }
+  for (const { from } of links) flow_from(next, from[0], from[1])
+  return next
+}
+
+// Recalculate everything with other constants
+const change_constants = (state, constant_set, label) => rerun_batches(
+  remember(restore(state, { ...changes_of(state), constants: constant_set }), undefined, label)
+)
+
+// Choosing a preset replaces any overrides of the constants it sets
+const ChoosePreset = (preset_id) => (state, event) => {
+  const option = presets[preset_id].options[event.target.value]
+  const overrides = Object.fromEntries(Object.entries(state.constant_set.overrides)
+    .filter(([c_id]) => !Object.hasOwn(option.values, c_id)))
+  return change_constants(state, {
+    presets: { ...state.constant_set.presets, [preset_id]: event.target.value },
+    overrides,
+  }, `${presets[preset_id].name} ${option.name}`)
+}
+
+const ChangeConstant = (constant_id) => (state, event) => {
+  const value = Number(event.target.value)
+  if (event.target.value == "" || !isFinite(value)) return state
+  return change_constants(state, {
+    ...state.constant_set,
+    overrides: { ...state.constant_set.overrides, [constant_id]: value },
+  }, `${constant_id} = ${value}`)
+}
+
+const ResetConstant = (constant_id) => (state) => {
+  const { [constant_id]: _, ...overrides } = state.constant_set.overrides
+  return change_constants(state, { ...state.constant_set, overrides }, `${constant_id} reset`)
+}
+
+// Add what just happened to the history
+const remember = (state, at, label, key) => ({
+  ...state,
+  timeline: record(state.timeline, { at, label, key, changes: changes_of(state) }),
+})
+
+// Show the workspace as it was at a point in the history
+const travel = (state, timeline) => ({
+  ...restore(state, timeline.entries[timeline.index].changes),
+  timeline,
+})
+
+const Undo = (state) => travel(state, undo(state.timeline))
+const Redo = (state) => travel(state, redo(state.timeline))
+
+// Put one form back as it was after an earlier step, leaving the others alone
+const RestoreForm = (group_id, form_id, index) => (state) => {
+  const entry = state.timeline.entries[index]
+  const changes = with_form(changes_of(state), entry.changes, form_id)
+  return remember(restore(state, changes), [group_id, form_id], `back to ${entry.label}`)
+}
+
+const Restore = (state, hash) => remember(restore(state, from_hash(hash)), undefined, "opened a link")
+
+// Keep the URL hash up to date with the state, and follow hashes that are pasted in.
+// Following a #group-id anchor keeps the state after it
+const sync_hash = (dispatch, text) => {
+  const { anchor } = split_hash(location.hash)
+  history.replaceState(null, "", join_hash(anchor, text) || location.pathname + location.search)
+  const follow = () => {
+    const { anchor, state } = split_hash(location.hash)
+    if (state == text) return
+    if (!state && text) history.replaceState(null, "", join_hash(anchor, text))
+    else dispatch(Restore, location.hash)
+  }
+  addEventListener("hashchange", follow)
+  return () => removeEventListener("hashchange", follow)
+}
+
+// The fields that take a variable's value
+const VALUE_FIELDS = "li.variable input:is([name=mantissa], [name=text]):not([readonly])"
+
+// Focus the next or previous element matching a selector, after or before the one focused
+const step_focus = (selector, step) => {
+  const all = [...document.querySelectorAll(selector)]
+  const here = all.indexOf(document.activeElement)
+  const follows = (el) => document.activeElement.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING
+  const next = here >= 0 ? all[here + step]
+    : step > 0 ? all.find(follows)
+    : all.findLast(el => !follows(el))
+  next?.focus()
+  next?.scrollIntoView({ block: "nearest" })
+}
+
+// Ctrl+K opens the command palette. Alt+↑ and Alt+↓ move between variables,
+// Alt+Page Up and Alt+Page Down between forms, and Page Up and Page Down in a value bump its exponent.
+// Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo.
+// The search box keeps the browser's own undo
+const shortcuts = (dispatch) => {
+  const keydown = (event) => {
+    const modified = event.ctrlKey || event.metaKey
+    if (modified && !event.altKey && event.key.toLowerCase() == "k") {
+      event.preventDefault()
+      return dispatch(TogglePalette)
+    }
+    const step = { ArrowDown: 1, ArrowUp: -1, PageDown: 1, PageUp: -1 }[event.key]
+    if (step && event.altKey && !modified) {
+      event.preventDefault()
+      return step_focus(event.key.startsWith("Arrow") ? VALUE_FIELDS : "li.form summary", step)
+    }
+    if (step && event.key.startsWith("Page") && !modified && event.target.matches?.(VALUE_FIELDS)) {
+      event.preventDefault()
+      const [group, form, variable] = ["section.group", "li.form", "li.variable"].map(at => event.target.closest(at).id)
+      return dispatch(BumpExponent(group, form, variable, -step))
     }
+    if (!modified || event.altKey || event.target.id == "filter") return
+    const key = event.key.toLowerCase()
+    const action = key == "z" ? (event.shiftKey ? Redo : Undo) : key == "y" ? Redo : undefined
+    if (!action) return
+    event.preventDefault()
+    dispatch(action)
+  }
+  addEventListener("keydown", keydown)
+  return () => removeEventListener("keydown", keydown)
+}
+
+// Display settings kept from the last visit, or the defaults where they can't be read
+const saved_display = (saved) => {
+  try {
+    return display_settings(typeof saved == "object" && saved ? saved : {})
+  } catch {
+    return { ...DEFAULT_DISPLAY }
+  }
+}
+
+const DIGITS = Array.from({ length: MAX_DIGITS }, (_, i) => i + 1)
+
+const KeptWorkspace = (state, storage_error) =>
+  state.storage_error == storage_error ? state : { ...state, storage_error }
+
+// Remember the workspace between visits. When it doesn't fit, it's kept without the packs from files,
+// which are the largest part of it
+const keep_workspace = (dispatch, workspace) => {
+  let storage_error = ""
+  try {
+    save(workspace)
+  } catch (error) {
+    try {
+      if (!workspace.packs.length) throw error
+      save({ ...workspace, packs: [] })
+      storage_error = `the packs loaded from files are too large to keep in the browser, so they won't be loaded next time (${error.message})`
+    } catch (error) {
+      storage_error = `this workspace can't be kept in the browser: ${error.message}`
+    }
+  }
+  requestAnimationFrame(() => dispatch(KeptWorkspace, storage_error))
+  return () => {}
+}
+
+// A variable's value as shown, such as "a = 5.2 AUs"
+const describe = (v) => `${v.symbol} = ${short_scientific(to_display(v, v.value))}${v.unit ? " " + v.unit : ""}`
+
+// Recalculate a form from one of its variables, and the forms it flows into
+const update = (state, group_id, form_id, variable_id, self) => {
+  const form = state.data[group_id].forms[form_id]
+  recalculate(form, variable_id, self)
+  propagate_form(form)
+  flow_from(state, group_id, form_id)
+  return `${describe(form.variables[variable_id])} → ${describe(form.variables[form.order[0]])}`
+}
+
+// The display settings of a form: its own significant figures, or else the workspace's
+const display_for = (display, form) => ({ ...display, digits: form.digits ?? display.digits })
+
+// What was typed into a variable, kept as typed until its value changes some other way
+const typed = (v) => v.typed_value === v.value ? v.typed : undefined
+
+// A variable's fields as shown, as { mantissa, exponent, unit }, with the mantissa unrounded as `exact`.
+// Typed fields stay in the unit shown when typing began, and the other field follows them.
+// The calculated variable may be shown in an SI-prefixed unit
+const fields_of = (v, settings, calculated) => {
+  const t = typed(v) ?? {}
+  const { value, unit } = t.unit !== undefined ? { value: convert(v.value, v.default_unit, t.unit), unit: t.unit }
+    : settings.prefixes && calculated ? prefixed(to_display(v, v.value), v.unit, settings.digits)
+    : { value: to_display(v, v.value), unit: v.unit }
+  const shown = parts(value, settings)
+  const exponent = t.exponent ?? shown.exponent
+  const exact = t.exponent === undefined ? shown.exact : join(value, -Number(exponent))
+  return {
+    mantissa: t.mantissa ?? (t.exponent === undefined ? shown.mantissa : Number(exact.toPrecision(settings.digits))),
+    exponent, exact, unit, text: t.text, error: t.error,
   }
 }
 
 const Calculate = (group_id, form_id, variable_id, self=false) => ( state, event ) => {
   const form = state.data[group_id].forms[form_id]
-  const variables = form.variables
-  
-  // Update inputted variable
-  //console.log(event.target.name)
-  const v = variables[variable_id]
-  v[event.target.name] = event.target.value
-  v.value = v.mantissa * Math.pow(10, v.exponent) * v.unit_ratio
   
-  // Flatten values of variables
-  const values = Object.fromEntries(Object.entries(variables).map(
-    ([v_id, v]) => ([v_id, Number(v.value)])
-  ))
+  // Update inputted variable, the field not typed in keeping its full precision
+  const v = form.variables[variable_id]
+  const now = fields_of(v, display_for(state.display, form), variable_id == form.order[0])
+  v.typed = { unit: now.unit, exponent: now.exponent, mantissa: typed(v)?.mantissa, [event.target.name]: event.target.value }
+  const { mantissa = now.exact, exponent } = v.typed
+  assign(v, convert(join(Number(mantissa), Number(exponent)), now.unit, v.default_unit))
+  v.typed_value = v.value
   
-  // Calculate other variables in order
-  // Don't run if any variable besides the first-to-be-calculated is invalid
-  if(Object.keys(values).every(v_id => (v_id==form.order[0]) || isFinite(values[v_id])))
-  for(const v_id of form.order) {
-    if(v_id == variable_id && !self) continue
-    const v = variables[v_id]
-    const val = Number(v.formula(values))
-    values[v_id] = val
-    v.value = val
-    const scientific = num_to_scientific(val / v.unit_ratio)
-    v.mantissa = scientific.mantissa
-    v.exponent = scientific.exponent
+  const label = update(state, group_id, form_id, variable_id, self)
+  return remember(state, [group_id, form_id], label, `value ${group_id}/${form_id}/${variable_id}`)
+}
+
+// Values typed as text, such as "2*1.496e11", "4.2 ly" or "12h 30m", go into the unit shown
+const Enter = (group_id, form_id, variable_id) => ( state, event ) => {
+  const form = state.data[group_id].forms[form_id]
+  const v = form.variables[variable_id]
+  const { unit } = fields_of(v, display_for(state.display, form), variable_id == form.order[0])
+  v.typed = { unit, text: event.target.value, error: "" }
+  try {
+    assign(v, convert(parse_quantity(v.typed.text, unit), unit, v.default_unit))
+  } catch (error) {
+    if (!(error instanceof QuantityError)) throw error
+    v.typed.error = error.message
   }
-  return { ...state }
+  v.typed_value = v.value
+  if (v.typed.error) return { ...state }
+  const label = update(state, group_id, form_id, variable_id)
+  return remember(state, [group_id, form_id], label, `value ${group_id}/${form_id}/${variable_id}`)
+}
+
+const ToggleTyping = (state, event) => ({ ...state, typing: event.target.checked })
+
+const ChangeDisplay = (field) => (state, event) => ({
+  ...state,
+  display: {
+    ...state.display,
+    [field]: field == "prefixes" ? event.target.checked : field == "digits" ? Number(event.target.value) : event.target.value,
+  },
+})
+
+const ChangeDigits = (group_id, form_id) => ( state, event ) => {
+  const form = state.data[group_id].forms[form_id]
+  form.digits = event.target.value ? Number(event.target.value) : undefined
+  return remember(state, [group_id, form_id], `${form.digits ?? state.display.digits} significant figures`)
 }
 
+// Focusing a variable makes another the ⭐. That isn't a step of its own in the history,
+// but goes into the step of the edit that follows
 const Reorder = (group_id, form_id, variable_id) => ( state, event ) => {
   const form = state.data[group_id].forms[form_id]
-  const variables = form.variables
+  // A result shown in an SI-prefixed unit is edited in that unit
+  if (variable_id == form.order[0] && !typed(form.variables[variable_id]))
+    set_unit(form.variables[variable_id], fields_of(form.variables[variable_id], display_for(state.display, form), true).unit)
+  reorder(form, variable_id, linked_in(state.links, [group_id, form_id]))
+  mark_order(form)
+  propagate_form(form)
+  return { ...state }
+}
 
-  // Move current variable to last in calculation order
-  form.order.push(form.order.splice(form.order.indexOf(variable_id), 1)[0])
-  
-  for(const v_id of form.order) {
-    const i = form.order.indexOf(v_id) / (form.order.length - 1)
-    variables[v_id].prefix = (
-        i == 1 ? '➡️'
-      : i == 0 ? '⭐'
-      : ''
-    )
+// Take a variable's quantity from an object in the catalog
+const Pick = (group_id, form_id, variable_id) => ( state, event ) => {
+  const object = Object.hasOwn(state.catalog, event.target.value) ? state.catalog[event.target.value] : undefined
+  event.target.value = ""
+  if (!object) return state
+  const form = state.data[group_id].forms[form_id]
+  const v = form.variables[variable_id]
+  reorder(form, variable_id, linked_in(state.links, [group_id, form_id]))
+  mark_order(form)
+  assign(v, value_for(object, v))
+  const label = update(state, group_id, form_id, variable_id)
+  return remember(state, [group_id, form_id], `${object.name}: ${label}`)
+}
+
+const LoadCatalog = (state, catalog) => ({ ...state, catalog: merge(state.catalog, catalog) })
+const CatalogFailed = (state, message) => ({ ...state, catalog_error: message })
+
+// The catalog arrives after the page starts, and the objects to pick from appear then
+const fetch_catalog = (dispatch, url) => fetch(url)
+  .then(response => response.json())
+  .then(json => dispatch(LoadCatalog, parse_catalog(json, url)))
+  .catch(error => dispatch(CatalogFailed, `could not load ${url}: ${error.message}`))
+
+// Batches solve a form for every row of a CSV file, which is read here and never sent anywhere.
+// Variables without a column take the values in the form when the batch is run.
+// Columns whose header unit couldn't be read wait for a unit to be chosen
+const unread_columns = (batch) => Object.keys(batch.unit_errors ?? {}).filter(v_id => v_id in batch.columns && v_id != batch.target)
+const solve_batch = (state, form_id, batch) => ({
+  ...batch,
+  results: unread_columns(batch).length ? undefined : run_batch(form_id, batch.table, { ...batch, source: state.data }),
+})
+
+const rerun_batches = (state) => ({
+  ...state,
+  batches: Object.fromEntries(Object.entries(state.batches).map(([f_id, batch]) =>
+    [f_id, batch.table ? solve_batch(state, f_id, batch) : batch]
+  )),
+})
+
+const change_batch = (state, form_id, changes) => ({
+  ...state,
+  batches: { ...state.batches, [form_id]: solve_batch(state, form_id, { ...state.batches[form_id], ...changes }) },
+})
+
+const read_file = (dispatch, { file, form_id }) => file.text()
+  .then(text => dispatch(LoadTable, { form_id, name: file.name, text }))
+
+const LoadFile = (form_id) => ( state, event ) => {
+  const file = event.target.files[0]
+  return file ? [state, [read_file, { file, form_id }]] : state
+}
+
+const LoadTable = (state, { form_id, name, text }) => {
+  let table
+  try {
+    table = parse_csv(text)
+  } catch (error) {
+    if (!(error instanceof CSVError)) throw error
+    return { ...state, batches: { ...state.batches, [form_id]: { name, error: error.message } } }
   }
-  
-  return { ...state }
+  if (table.length < 2)
+    return { ...state, batches: { ...state.batches, [form_id]: { name, error: `${name} has no rows below its header` } } }
+  const form = find_form(form_id, state.data)
+  const { columns, units, errors } = guess_columns(form, table[0])
+  const target = form.order.find(v_id => !Object.hasOwn(columns, v_id)) ?? form.order[0]
+  return change_batch(state, form_id, { name, error: "", table, columns, units, unit_errors: errors, target })
 }
 
-const compress_match = q => q.toLowerCase().replaceAll(/\W/g,"")
-const Filter = (state, event) => {
-  state.filter = compress_match(event.target.value)
-  return { ...state }
+// Remapping a column, or choosing its unit, settles a header unit that couldn't be read
+const settled = (batch, variable_id) => {
+  const { [variable_id]: _, ...unit_errors } = batch.unit_errors ?? {}
+  return unit_errors
+}
+
+const MapColumn = (form_id, variable_id) => ( state, event ) => {
+  const { [variable_id]: _, ...columns } = state.batches[form_id].columns
+  if (event.target.value != "") columns[variable_id] = Number(event.target.value)
+  return change_batch(state, form_id, { columns, unit_errors: settled(state.batches[form_id], variable_id) })
+}
+
+const BatchUnit = (form_id, variable_id) => ( state, event ) => change_batch(state, form_id, {
+  units: { ...state.batches[form_id].units, [variable_id]: event.target.value },
+  unit_errors: settled(state.batches[form_id], variable_id),
+})
+
+const BatchTarget = (form_id) => ( state, event ) => change_batch(state, form_id, { target: event.target.value })
+
+const RerunBatch = (form_id) => ( state ) => change_batch(state, form_id, {})
+
+const download = (dispatch, { name, text, type }) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = name
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+const result_column = (form, batch) => {
+  const unit = batch.units[batch.target] ?? form.variables[batch.target].unit
+  return form.variables[batch.target].symbol + (unit ? ` (${unit})` : "")
+}
+
+const DownloadBatch = (form_id) => ( state ) => {
+  const batch = state.batches[form_id], form = find_form(form_id, state.data)
+  return [state, [download, {
+    name: batch.name.replace(/(\.\w+)?$/, `-${batch.target}.csv`),
+    text: format_csv(augment(batch.table, batch.results, result_column(form, batch))),
+    type: "text/csv",
+  }]]
+}
+
+// Exports write out a form's calculation, and JSON exports can be imported back into the form
+const report_of = (state, form_id) => report(form_id, {
+  source: state.data,
+  links: state.links,
+  constant_set: state.constant_set,
+  state: changes_of(state).forms[form_id] ?? { order: [...find_form(form_id, state.data).order], variables: {} },
+})
+
+const ChooseFormat = (state, event) => ({ ...state, export_format: event.target.value })
+
+const copy = (dispatch, text) => navigator.clipboard?.writeText(text)
+
+const CopyExport = (form_id) => ( state ) =>
+  [state, [copy, formats[state.export_format].write(report_of(state, form_id))]]
+
+const DownloadExport = (form_id) => ( state ) => {
+  const format = formats[state.export_format]
+  return [state, [download, {
+    name: `${form_id}.${format.extension}`,
+    text: format.write(report_of(state, form_id)),
+    type: format.type,
+  }]]
+}
+
+const read_import = (dispatch, { file, at }) => file.text()
+  .then(text => dispatch(ImportForm(...at), text))
+
+const ImportFile = (group_id, form_id) => ( state, event ) => {
+  const file = event.target.files[0]
+  return file ? [state, [read_import, { file, at: [group_id, form_id] }]] : state
+}
+
+const ImportForm = (group_id, form_id) => ( state, text ) => {
+  const failed = (message) => ({ ...state, import_errors: { ...state.import_errors, [form_id]: message } })
+  let saved
+  try {
+    saved = read_export(text)
+  } catch (error) {
+    if (!(error instanceof ExportError)) throw error
+    return failed(error.message)
+  }
+  if (saved.form != form_id) return failed(`this file holds "${saved.form}", not this form`)
+  const changes = with_form(changes_of(state), { forms: { [form_id]: saved.state } }, form_id)
+  const { [form_id]: _, ...import_errors } = state.import_errors
+  return remember({ ...restore(state, changes), import_errors }, [group_id, form_id], "imported a calculation")
+}
+
+// Custom forms are kept as definitions (see custom.mjs), built into their own group of the data.
+// Each build gets defaults to compare its changes against, and the mistakes are returned by form id
+const put_custom = (custom) => {
+  for (const f_id in data[GROUP]?.forms) delete defaults[f_id]
+  const errors = add_custom(data, custom)
+  Object.assign(defaults, snapshot({ [GROUP]: data[GROUP] ?? { forms: {} } }))
+  return Object.fromEntries(errors.map(({ id, message }) => [id, message]))
+}
+
+// Rebuild the custom forms, keeping the changes made to every form
+const with_custom = (state, custom) => {
+  const changes = changes_of(state)
+  const custom_errors = put_custom(custom)
+  return restore({ ...state, custom, custom_errors }, changes)
+}
+
+const blank_variable = () => ({ id: "", symbol: "", name: "", value: "", unit: "", formula: "" })
+
+// The editor works on text, as typed
+const draft_of = (definition) => ({
+  id: definition?.id,
+  name: definition?.name ?? "",
+  description: definition?.description ?? "",
+  mode: definition && !definition.equation ? "formulas" : "equation",
+  equation: definition?.equation ?? "",
+  variables: definition
+    ? definition.variables.map(v => ({ ...blank_variable(), ...v, value: String(v.value) }))
+    : [blank_variable(), blank_variable()],
+  error: "",
+  warnings: [],
+})
+
+const definition_of = (editor, id) => ({
+  id,
+  name: editor.name.trim(),
+  ...(editor.description.trim() && { description: editor.description.trim() }),
+  ...(editor.mode == "equation" && { equation: editor.equation.trim() }),
+  variables: editor.variables.map(({ formula, ...v }) => ({
+    ...Object.fromEntries(Object.entries(v).map(([field, value]) => [field, value.trim()])),
+    ...(editor.mode == "formulas" && { formula: formula.trim() }),
+  })),
+})
+
+const NewCustom = (state) => ({ ...state, editor: draft_of() })
+
+const EditCustom = (id) => ( state ) => ({ ...state, editor: draft_of(state.custom.find(d => d.id == id)) })
+
+const CancelCustom = (state) => ({ ...state, editor: null })
+
+const EditDraft = (field) => ( state, event ) =>
+  ({ ...state, editor: { ...state.editor, [field]: event.target.value, error: "" } })
+
+const EditDraftVariable = (i, field) => ( state, event ) => ({ ...state, editor: {
+  ...state.editor,
+  variables: state.editor.variables.map((v, j) => j == i ? { ...v, [field]: event.target.value } : v),
+  error: "",
+}})
+
+const AddDraftVariable = (state) =>
+  ({ ...state, editor: { ...state.editor, variables: [...state.editor.variables, blank_variable()] } })
+
+const RemoveDraftVariable = (i) => ( state ) =>
+  ({ ...state, editor: { ...state.editor, variables: state.editor.variables.filter((_, j) => j != i) } })
+
+// Save the form being edited. It is saved even if its checks fail, which stay on show in the editor
+const SaveCustom = (state) => {
+  const { editor } = state
+  const id = editor.id ?? slug(editor.name)
+  const definition = definition_of(editor, id)
+  try {
+    if (!editor.id && Object.values(state.data).some(group => Object.hasOwn(group.forms, id)))
+      throw new CustomFormError(`there is already a form called "${id}"`)
+    build_form(definition)
+  } catch (error) {
+    if (!(error instanceof CustomFormError)) throw error
+    return { ...state, editor: { ...editor, error: error.message, warnings: [] } }
+  }
+  const saved = { ...definition, variables: definition.variables.map(v => ({ ...v, value: Number(v.value) })) }
+  const custom = editor.id ? state.custom.map(d => d.id == id ? saved : d) : [...state.custom, saved]
+  const next = with_custom(state, custom)
+  const warnings = check_form(GROUP, id, next.data[GROUP].forms[id])
+    .map(({ variable, message }) => variable ? `${variable}: ${message}` : message)
+  return {
+    ...next,
+    open: next.open.includes(id) ? next.open : [...next.open, id],
+    editor: warnings.length ? { ...editor, id, error: "", warnings } : null,
+  }
+}
+
+const DeleteCustom = (id) => ( state ) => ({
+  ...with_custom(state, state.custom.filter(d => d.id != id)),
+  open: state.open.filter(f_id => f_id != id),
+  editor: state.editor?.id == id ? null : state.editor,
+})
+
+const DownloadCustom = (state) =>
+  [state, [download, { name: "custom-forms.json", text: write_custom(state.custom), type: "application/json" }]]
+
+const read_custom_file = (dispatch, file) => file.text().then(text => dispatch(LoadCustom, text))
+
+const ImportCustom = (state, event) => {
+  const file = event.target.files[0]
+  return file ? [state, [read_custom_file, file]] : state
+}
+
+// Imported forms replace those with the same id
+const LoadCustom = (state, text) => {
+  let imported
+  try {
+    imported = read_custom(text)
+  } catch (error) {
+    if (!(error instanceof CustomFormError)) throw error
+    return { ...state, custom_error: error.message }
+  }
+  const ids = imported.map(d => d.id)
+  return { ...with_custom(state, [...state.custom.filter(d => !ids.includes(d.id)), ...imported]), custom_error: "" }
+}
+
+// Changes to forms that aren't loaded, such as those of a pack still on its way, along with
+// overrides of constants not yet known. They are kept, and applied once the forms arrive,
+// until every pack has arrived or failed, when those left are dropped as any unknown form is
+const NOTHING_PENDING = { forms: {}, links: [], overrides: {} }
+const pending_of = (changes) => {
+  const loaded = (f_id) => Object.values(data).some(group => Object.hasOwn(group.forms, f_id))
+  const overrides = typeof changes?.constants?.overrides == "object" ? changes.constants.overrides : {}
+  return {
+    forms: Object.fromEntries(Object.entries(changes?.forms ?? {}).filter(([f_id]) => !loaded(f_id))),
+    links: (Array.isArray(changes?.links) ? changes.links : [])
+      .filter(link => Array.isArray(link?.from) && Array.isArray(link?.to) && !(loaded(link.from[0]) && loaded(link.to[0]))),
+    overrides: Object.fromEntries(Object.entries(overrides)
+      .filter(([c_id, value]) => !Object.hasOwn(constant_names, c_id) && isFinite(value) && value !== null)),
+  }
+}
+
+// Whether packs.json has been read and every pack listed or kept has loaded or failed
+const packs_settled = (state) => state.packs_listed && state.packs.every(pack => pack.json !== undefined || pack.error !== undefined)
+const settle = (state) => packs_settled(state) ? { ...state, pending: NOTHING_PENDING } : state
+
+// The changes of the workspace, with those still pending
+const kept_changes = (state) => {
+  const changes = changes_of(state), { forms, links, overrides } = state.pending
+  return {
+    ...changes,
+    ...(Object.keys(overrides).length && {
+      constants: { ...normalise(changes.constants), overrides: { ...overrides, ...changes.constants?.overrides } },
+    }),
+    forms: { ...forms, ...changes.forms },
+    links: [...changes.links, ...links],
+  }
+}
+
+// Packs as they arrive, in the order they are listed: { file, url, text, json, error }.
+// `file` names a pack and `text` keeps the packs loaded from local files
+const with_packs = (state, packs) => {
+  const changes = kept_changes(state)
+  for (const g_id in data) if (data[g_id].pack) for (const f_id in data[g_id].forms) delete defaults[f_id]
+  const errors = add_packs(data, packs.filter(pack => pack.json !== undefined).map(({ file, json }) => ({ file, json })))
+  const installed = Object.entries(data).filter(([, group]) => group.pack)
+  Object.assign(defaults, snapshot(Object.fromEntries(installed)))
+  // Packs load whatever their checks say, which show beside them
+  const pack_warnings = {}
+  for (const [g_id, group] of installed)
+    for (const [f_id, f] of Object.entries(group.forms))
+      for (const { variable, message } of check_form(g_id, f_id, f))
+        (pack_warnings[group.pack] ??= []).push(`${f_id}${variable ? "." + variable : ""}: ${message}`)
+  const next = restore({
+    ...state, packs, pack_warnings,
+    pack_errors: Object.fromEntries(errors.map(({ file, message }) => [file, message])),
+  }, changes)
+  return settle({ ...next, pending: pending_of(changes) })
+}
+
+// A loaded pack takes the place it was listed in, or else goes last
+const LoadPack = (state, loaded) => with_packs(state, state.packs.some(pack => pack.file == loaded.file)
+  ? state.packs.map(pack => pack.file == loaded.file ? loaded : pack)
+  : [...state.packs, loaded])
+
+// Packs listed before they arrive, so they load in the order listed
+const ListPacks = (state, listed) => settle({
+  ...state,
+  packs: [...state.packs, ...listed.filter(({ file }) => !state.packs.some(pack => pack.file == file))],
+  packs_listed: true,
+})
+
+const RemovePack = (file) => ( state ) => with_packs(state, state.packs.filter(pack => pack.file != file))
+
+// Packs are JSON, or modules whose default export is the pack. Modules run with the page's access,
+// so one from a file is never kept to run again on the next visit, but has to be chosen each time
+const is_module = (file) => /\.m?js$/i.test(file)
+
+const read_pack = (dispatch, { file, url, text }) => (
+  is_module(file)
+    ? import(url ?? URL.createObjectURL(new Blob([text], { type: "text/javascript" }))).then(module => {
+        if (module.default === undefined) throw new Error("it has no default export")
+        return module.default
+      })
+    : (text !== undefined ? Promise.resolve(text) : fetch(url).then(response => {
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`)
+        return response.text()
+      })).then(JSON.parse)
+  )
+  .then(json => dispatch(LoadPack, { file, url, text, json }))
+  .catch(error => dispatch(LoadPack, { file, url, text, error: `could not load ${file}: ${error.message}` }))
+
+// packs.json lists the URLs of the packs to load, relative to the page. Without one, none are
+const fetch_packs = (dispatch, url) => fetch(url)
+  .then(response => response.ok ? response.json() : [])
+  .then(urls => {
+    if (!Array.isArray(urls) || urls.some(pack_url => typeof pack_url != "string"))
+      throw new Error("it should be a list of URLs")
+    const listed = urls.map(pack_url => ({ file: pack_url, url: new URL(pack_url, location.href).href }))
+    dispatch(ListPacks, listed)
+    for (const pack of listed) read_pack(dispatch, pack)
+  })
+  .catch(error => {
+    dispatch(ListPacks, [])
+    dispatch(LoadPack, { file: url, error: `could not read ${url}: ${error.message}` })
+  })
+
+const read_pack_file = (dispatch, file) => file.text().then(text => read_pack(dispatch, { file: file.name, text }))
+
+const LoadPackFile = (state, event) => {
+  const file = event.target.files[0]
+  return file ? [state, [read_pack_file, file]] : state
+}
+
+// A plot sweeps one variable over a range and charts another, in the units shown in the form.
+// The first inputs sweep over a decade either side of their values until changed
+const plot_range = (variable) => {
+  const x = to_display(variable, variable.value)
+  return x > 0 ? { from: x / 10, to: x * 10, scale: "log" } : { from: x - 1, to: x + 1, scale: "linear" }
+}
+
+const plot_settings = (form, plot = {}) => {
+  const x = plot.x ?? form.order[form.order.length - 1]
+  return {
+    y: form.order.find(v_id => v_id != x),
+    steps: 60,
+    y_scale: "linear",
+    family: "",
+    family_values: "",
+    ...plot_range(form.variables[x]),
+    ...plot,
+    x,
+  }
+}
+
+const curves_of = (form_id, form, plot) => {
+  const units = Object.fromEntries(Object.entries(form.variables).map(([v_id, v]) => [v_id, v.unit]))
+  const values = plot.family_values.split(",").filter(value => value.trim() != "")
+  if (plot.family && values.some(value => !isFinite(value)))
+    throw new PlotError(`"${plot.family_values}" should be numbers separated by commas`)
+  return sweep(form_id, {
+    ...plot,
+    units,
+    family: plot.family && values.length ? { variable: plot.family, values: values.map(Number) } : undefined,
+  })
+}
+
+const axis_label = (v) => `${v.symbol}: ${v.name.trim()}${v.unit ? ` (${v.unit})` : ""}`
+
+const plot_of = (form_id, form, plot) => chart(curves_of(form_id, form, plot), {
+  x: { label: axis_label(form.variables[plot.x]), scale: plot.scale },
+  y: { label: axis_label(form.variables[plot.y]), scale: plot.y_scale },
+  legend: (value) => `${form.variables[plot.family].symbol} = ${value}${form.variables[plot.family].unit ? " " + form.variables[plot.family].unit : ""}`,
+})
+
+const ChangePlot = (form_id, field) => ( state, event ) => {
+  const form = find_form(form_id, state.data)
+  const value = ["from", "to", "steps"].includes(field) ? Number(event.target.value) : event.target.value
+  const plot = { ...state.plots[form_id], [field]: value }
+  // A new variable to sweep starts from its own range
+  if (field == "x") Object.assign(plot, plot_range(form.variables[value]))
+  const settings = plot_settings(form, plot)
+  if (settings.y == settings.x) settings.y = form.order.find(v_id => v_id != settings.x)
+  if ([settings.x, settings.y].includes(settings.family)) settings.family = ""
+  return { ...state, plots: { ...state.plots, [form_id]: settings } }
+}
+
+// A plot that can't be drawn has its reason shown in place of the chart instead
+const DownloadPlot = (form_id) => ( state ) => {
+  const form = find_form(form_id, state.data), plot = plot_settings(form, state.plots[form_id])
+  let svg
+  try {
+    svg = svg_text(plot_of(form_id, form, plot))
+  } catch (error) {
+    if (!(error instanceof PlotError)) throw error
+    return state
+  }
+  return [state, [download, { name: `${form_id}-${plot.y}-${plot.x}.svg`, text: svg, type: "image/svg+xml" }]]
+}
+
+const ChangeUncertainty = (group_id, form_id, variable_id) => ( state, event ) => {
+  const form = state.data[group_id].forms[form_id]
+  const v = form.variables[variable_id]
+  v.uncertainty = event.target.value
+  propagate_form(form)
+  return remember(state, [group_id, form_id], `${v.symbol} ± ${v.uncertainty || "0"}`, `uncertainty ${group_id}/${form_id}/${variable_id}`)
+}
+
+const ChangePropagation = (group_id, form_id) => ( state, event ) => {
+  const form = state.data[group_id].forms[form_id]
+  form.propagation = event.target.value
+  propagate_form(form)
+  return remember(state, [group_id, form_id], `${form.propagation} propagation`)
+}
+
+// The first click picks the variable to link from, the second the variable to link to
+const Link = (group_id, form_id, variable_id) => ( state ) => {
+  const here = [group_id, form_id, variable_id]
+  if (!state.linking) return { ...state, linking: here, link_error: "" }
+  if (same_variable(state.linking, here)) return { ...state, linking: null }
+  try {
+    const links = add_link(state.links, state.linking, here, state.data)
+    const next = { ...state, links, linking: null, link_error: "" }
+    flow_from(next, state.linking[0], state.linking[1])
+    return remember(next, [group_id, form_id], `${variable_at(state.data, here).symbol} ← ${link_name(state.data, state.linking)}`)
+  } catch (error) {
+    if (!(error instanceof LinkError)) throw error
+    return { ...state, linking: null, link_error: error.message }
+  }
+}
+
+// Once unlinked, a variable that isn't pinned is calculated from the rest of its form,
+// so that a redshift is found from a distance
+const Unlink = (group_id, form_id, variable_id) => ( state ) => {
+  const form = state.data[group_id].forms[form_id]
+  if (!form.pinned?.includes(variable_id)) {
+    form.order.unshift(form.order.splice(form.order.indexOf(variable_id), 1)[0])
+    mark_order(form)
+  }
+  return remember(
+    { ...state, links: remove_link(state.links, [group_id, form_id, variable_id]) },
+    [group_id, form_id],
+    `${form.variables[variable_id].symbol} unlinked`
+  )
+}
+
+// The forms that match a search, in the order they are listed
+const forms_found = (data, filter) => filter.trim()
+  ? by_group(search(filter, data)).flatMap(({ results }) => results.map(({ form }) => form))
+  : []
+
+// The best form found is picked, ready to be opened with Enter
+const Filter = (state, event) => ({
+  ...state,
+  filter: event.target.value,
+  picked: forms_found(state.data, event.target.value)[0] ?? null,
+})
+
+// Scroll a form into view once it has been drawn
+const reveal = (dispatch, form_id) => requestAnimationFrame(() =>
+  document.getElementById(form_id)?.scrollIntoView({ block: "nearest" })
+)
+
+// In the search box, arrow keys step through the forms found, Enter opens the one picked
+// and Escape clears the search
+const SearchKey = (state, event) => {
+  if (event.key == "Escape") return { ...state, filter: "", picked: null }
+  const forms = forms_found(state.data, state.filter)
+  if (!forms.length) return state
+  if (event.key == "ArrowDown" || event.key == "ArrowUp") {
+    event.preventDefault()
+    const at = forms.indexOf(state.picked), step = event.key == "ArrowDown" ? 1 : -1
+    const picked = forms[at < 0 ? (step > 0 ? 0 : forms.length - 1) : (at + step + forms.length) % forms.length]
+    return [{ ...state, picked }, [reveal, picked]]
+  }
+  if (event.key == "Enter") {
+    const form_id = forms.includes(state.picked) ? state.picked : forms[0]
+    return [{ ...state, open: [...new Set([...state.open, form_id])] }, [reveal, form_id]]
+  }
+  return state
+}
+
+// Text with the parts that match the search marked
+const highlighted = (content, ranges) =>
+  runs(content, ranges).map(run => run.marked ? mark(text(run.text)) : text(run.text))
+
+// Page Up and Page Down step a value's exponent, by three in engineering notation
+const BumpExponent = (group_id, form_id, variable_id, step) => (state) => {
+  const form = state.data[group_id].forms[form_id]
+  const v = form.variables[variable_id]
+  const settings = display_for(state.display, form)
+  const { exponent } = fields_of(v, settings, variable_id == form.order[0])
+  const by = settings.notation == "engineering" ? 3 : 1
+  const next = Calculate(group_id, form_id, variable_id)(state, {
+    target: { name: "exponent", value: String(Number(exponent) + step * by) },
+  })
+  // Shown afresh, as the exponent may be hidden
+  v.typed = undefined
+  return next
 }
 
+// A pinned variable keeps its value, and another is calculated in its place
+const TogglePin = (group_id, form_id, variable_id) => (state) => {
+  const form = state.data[group_id].forms[form_id]
+  const pinned = !form.pinned?.includes(variable_id)
+  pin(form, variable_id, pinned, linked_in(state.links, [group_id, form_id]))
+  mark_order(form)
+  update(state, group_id, form_id, variable_id)
+  return remember(state, [group_id, form_id], `${pinned ? "📌" : "unpinned"} ${form.variables[variable_id].symbol}`)
+}
+
+// Put a form back to its defaults, leaving the others alone
+const ResetForm = (group_id, form_id) => (state) =>
+  remember(restore(state, with_form(changes_of(state), { forms: {} }, form_id)), [group_id, form_id], "reset")
+
+// Copy a form's result as it is shown, such as "d = 1.2877 × 10³ parsecs"
+const CopyResult = (group_id, form_id) => (state) => {
+  const form = state.data[group_id].forms[form_id]
+  const v = form.variables[form.order[0]]
+  const settings = display_for(state.display, form)
+  const { value, unit } = settings.prefixes
+    ? prefixed(to_display(v, v.value), v.unit, settings.digits)
+    : { value: to_display(v, v.value), unit: v.unit }
+  return [state, [copy, `${v.symbol} = ${format_number(value, settings)}${unit ? " " + unit : ""}`]]
+}
+
+// A form is shown by clearing a search it doesn't match
+const showing = (state, form_id) =>
+  state.filter.trim() && !forms_found(state.data, state.filter).includes(form_id) ? { ...state, filter: "", picked: null } : state
+
+// Focus an element once it has been drawn
+const focus = (dispatch, selector) => requestAnimationFrame(() => {
+  const element = document.querySelector(selector)
+  element?.focus()
+  element?.scrollIntoView({ block: "nearest" })
+})
+
+// Every command of the palette as { label, run }, with `run` an action.
+// Changing a unit lists the units of that variable in their place
+const commands_of = (state) => {
+  const { data, palette } = state
+  if (palette.unit_of) {
+    const [g_id, f_id, v_id] = palette.unit_of
+    const v = data[g_id].forms[f_id].variables[v_id]
+    return units_like(v.unit).map(unit => ({
+      label: `${v.symbol} in ${unit}`,
+      run: (state) => ChangeUnit(g_id, f_id, v_id)(state, { target: { value: unit } }),
+    }))
+  }
+  return Object.entries(data).flatMap(([g_id, g]) => Object.entries(g.forms).flatMap(([f_id, f]) => [
+    {
+      label: `Go to ${f.name}`,
+      run: (state) => [{ ...showing(state, f_id), open: [...new Set([...state.open, f_id])] }, [reveal, f_id]],
+    },
+    ...Object.entries(f.variables).flatMap(([v_id, v]) => {
+      const of = `${v.symbol} (${v.name.trim()}) in ${f.name}`
+      return [
+        {
+          label: `Focus ${of}`,
+          run: (state) => [showing(state, f_id), [focus, `li.form[id="${CSS.escape(f_id)}"] li.variable[id="${CSS.escape(v_id)}"] input:is([name=mantissa], [name=text])`]],
+        },
+        ...(v.unit ? [{
+          label: `Change unit of ${of}…`,
+          run: (state) => ({ ...state, palette: { query: "", at: 0, unit_of: [g_id, f_id, v_id] } }),
+        }] : []),
+        { label: `${f.pinned?.includes(v_id) ? "Unpin" : "Pin"} ${of}`, run: TogglePin(g_id, f_id, v_id) },
+      ]
+    }),
+    { label: `Reset ${f.name} to its defaults`, run: ResetForm(g_id, f_id) },
+    { label: `Copy the result of ${f.name}`, run: CopyResult(g_id, f_id) },
+  ]))
+}
+
+const PALETTE_SHOWN = 12
+
+// The commands matching what is typed in the palette, best first
+const palette_matches = (state) => commands_of(state)
+  .map(command => ({ ...command, ...score_text(state.palette.query, command.label) }))
+  .filter(command => command.score !== undefined)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, PALETTE_SHOWN)
+
+const TogglePalette = (state) => state.palette
+  ? { ...state, palette: null }
+  : [{ ...state, palette: { query: "", at: 0, unit_of: null } }, [focus, "#palette input"]]
+
+const ClosePalette = (state) => ({ ...state, palette: null })
+
+const PaletteQuery = (state, event) => ({ ...state, palette: { ...state.palette, query: event.target.value, at: 0 } })
+
+// Commands run with the palette closed, unless they open it again
+const RunCommand = (command) => (state) => command.run({ ...state, palette: null })
+
+const PaletteKey = (state, event) => {
+  if (event.key == "Escape") return ClosePalette(state)
+  const commands = palette_matches(state)
+  if (!commands.length) return state
+  if (event.key == "ArrowDown" || event.key == "ArrowUp") {
+    event.preventDefault()
+    const at = (state.palette.at + (event.key == "ArrowDown" ? 1 : -1) + commands.length) % commands.length
+    return { ...state, palette: { ...state.palette, at } }
+  }
+  if (event.key == "Enter") {
+    event.preventDefault()
+    return RunCommand(commands[Math.min(state.palette.at, commands.length - 1)])(state)
+  }
+  return state
+}
+
+const Toggle = (form_id) => (state, event) => ({
+  ...state,
+  open: event.target.open
+    ? [...new Set([...state.open, form_id])]
+    : state.open.filter(f_id => f_id != form_id),
+})
+
 const sign = x => ({
   positive: x > 0,
   zero: x == 0,
@@ -109,80 +1023,533 @@ const sign = x => ({
 })
 
 const ChangeUnit = (group_id, form_id, variable_id) => (state, event) => {
-  const form = state.data[group_id].forms[form_id]
-  const variables = form.variables
-  
-  const v = variables[variable_id]
-  v.unit = event.target.value
-  v.unit_ratio = factorOfUnit(v.unit) / factorOfUnit(v.default_unit)
-  return Calculate(group_id, form_id, variable_id, true)(state, event)
+  const v = state.data[group_id].forms[form_id].variables[variable_id]
+  set_unit(v, event.target.value)
+  v.typed = undefined
+  update(state, group_id, form_id, variable_id, true)
+  return remember(state, [group_id, form_id], `${v.symbol} in ${v.unit}`)
+}
+const short_scientific = (x) => {
+  if (!isFinite(x)) return "?"
+  const { mantissa, exponent } = num_to_scientific(x)
+  return mantissa.toPrecision(2) + times_ten(exponent)
 }
+// A decreasing unit, such as magnitudes, swaps the upper and lower errors
+const format_error = ({ minus, plus }, scale) => {
+  if (scale < 0) [minus, plus] = [plus, minus]
+  return asymmetric({ minus, plus })
+    ? `+${short_scientific(plus / Math.abs(scale))} −${short_scientific(minus / Math.abs(scale))}`
+    : `± ${short_scientific(plus / Math.abs(scale))}`
+}
+
 const unitDropdown = (props, unit) =>
-  select(props, Object.keys(units[kindOfUnit(unit)]).map(u => 
+  select(props, units_like(unit).map(u => 
     option({ selected: unit == u }, text(u))
   ))
   
-const formula = (variable) => 
-  text(
-    variable.symbol +
-    variable.formula.toString()
-    .replaceAll("**","^")
-    .replace(/.*\=\>/," = ")
-  )
+const link_name = (data, at) => `${form_at(data, at).name}: ${variable_at(data, at).symbol}`
+
+const chain_view = (data, path) =>
+  ol({class: "chain"}, [path[0].from, ...path.map(link => link.to)].map(at =>
+    li(a({href: "#" + at[1]}, text(link_name(data, at))))
+  ))
+
+// Presets to choose from, and every constant to see or, unless the units are built on it, override
+const constants_view = (constant_set) =>
+  details({id: "constants"}, [
+    summary(text("Constants")),
+    ...Object.entries(presets).map(([p_id, p]) => label({class: "preset"}, [
+      text(p.name + " "),
+      select({ oninput: ChoosePreset(p_id) }, Object.entries(p.options).map(([o_id, o]) =>
+        option({ value: o_id, selected: constant_set.presets[p_id] == o_id }, text(o.name))
+      )),
+    ])),
+    ul(Object.entries(constant_names).map(([c_id, name]) =>
+      li({class: { constant: true, overridden: Object.hasOwn(constant_set.overrides, c_id) }}, label([
+        span({class: "name"}, text(name)),
+        span({class: "definition"}, [
+          span({class: "symbol"}, text(c_id)),
+          span(text("=")),
+          fixed_constants.has(c_id)
+            ? span({class: "value", title: "the units are built on it"}, text(constants[c_id]))
+            : input({ type: "number", step: "any", value: constants[c_id], onchange: ChangeConstant(c_id) }),
+          span({class: "unit"}, text(constant_units[c_id])),
+          Object.hasOwn(constant_set.overrides, c_id) && button({
+            type: "button", class: "reset", title: "back to the preset", onclick: ResetConstant(c_id),
+          }, text("↺")),
+        ]),
+      ]))
+    )),
+  ])
+
+const MODES = { equation: "one equation", formulas: "a formula for each variable" }
+
+// The form being defined: its name, its variables, and the equation or formulas relating them
+const editor_view = (editor) =>
+  div({id: "editor"}, [
+    label([text("name "), input({ value: editor.name, placeholder: "Escape Velocity", oninput: EditDraft("name") })]),
+    label([text("description "), input({ value: editor.description, oninput: EditDraft("description") })]),
+    label([
+      text("calculated with "),
+      select({ oninput: EditDraft("mode") }, Object.entries(MODES).map(([mode, name]) =>
+        option({ value: mode, selected: editor.mode == mode }, text(name))
+      )),
+    ]),
+    editor.mode == "equation" && label([
+      text("equation "),
+      input({ class: "expression", value: editor.equation, placeholder: "v^2 = 2*G*M/r", oninput: EditDraft("equation") }),
+    ]),
+    table([
+      thead(tr([
+        th(text("id")), th(text("symbol")), th(text("name")), th(text("default value")), th(text("unit")),
+        editor.mode == "formulas" && th(text("formula")),
+        th([]),
+      ])),
+      tbody(editor.variables.map((v, i) => tr([
+        td(input({ value: v.id, placeholder: i ? "M" : "v", oninput: EditDraftVariable(i, "id") })),
+        td(input({ value: v.symbol, oninput: EditDraftVariable(i, "symbol") })),
+        td(input({ value: v.name, oninput: EditDraftVariable(i, "name") })),
+        td(input({ value: v.value, inputmode: "decimal", oninput: EditDraftVariable(i, "value") })),
+        td(input({ value: v.unit, placeholder: "m/s", oninput: EditDraftVariable(i, "unit") })),
+        editor.mode == "formulas" && td(input({ class: "expression", value: v.formula, oninput: EditDraftVariable(i, "formula") })),
+        td(button({ type: "button", title: "remove", disabled: editor.variables.length <= 2, onclick: RemoveDraftVariable(i) }, text("✕"))),
+      ]))),
+    ]),
+    p({class: "hint"}, text(
+      "Use + - * / ^, functions such as sqrt, log10 and sin, and the constants " + Object.keys(constants).join(", ")
+      + ". Values are in the units given, and the first variable is calculated from the others."
+    )),
+    p([
+      button({ type: "button", onclick: AddDraftVariable }, text("+ variable")),
+      button({ type: "button", onclick: SaveCustom }, text("💾 save")),
+      button({ type: "button", onclick: CancelCustom }, text(editor.warnings.length ? "close" : "cancel")),
+    ]),
+    editor.error && p({class: "warning"}, text(editor.error)),
+    editor.warnings.length > 0 && p({class: "warning"}, text("Saved, but some checks failed:")),
+    editor.warnings.length > 0 && ul({class: "warning"}, editor.warnings.map(warning => li(text(warning)))),
+  ])
+
+// The forms defined here, kept in this browser and shared as files
+const custom_view = (custom, custom_errors, custom_error, editor) =>
+  details({id: "custom"}, [
+    summary(text("Custom forms")),
+    ul(custom.map(d => li([
+      text(d.name + " "),
+      button({ type: "button", onclick: EditCustom(d.id) }, text("✎ edit")),
+      button({ type: "button", onclick: DeleteCustom(d.id) }, text("✕ delete")),
+      custom_errors[d.id] && p({class: "warning"}, text(custom_errors[d.id])),
+    ]))),
+    editor ? editor_view(editor) : p([
+      button({ type: "button", onclick: NewCustom }, text("✚ new form")),
+      custom.length > 0 && button({ type: "button", onclick: DownloadCustom }, text("⬇ download")),
+      label([
+        text(" import JSON "),
+        input({ type: "file", accept: ".json,application/json", onchange: ImportCustom }),
+      ]),
+    ]),
+    custom_error && p({class: "warning"}, text(custom_error)),
+  ])
+
+// Packs listed in packs.json, and those loaded from files here, with whatever is wrong with them
+const packs_view = (packs, pack_errors, pack_warnings) =>
+  details({id: "packs"}, [
+    summary(text("Formula packs")),
+    ul(packs.map(pack => {
+      const error = pack.error || pack_errors[pack.file]
+      const forms = Object.values(data).filter(group => pack.json && !error && group.pack == pack.json.id)
+        .reduce((count, group) => count + Object.keys(group.forms).length, 0)
+      return li([
+        text(pack.json?.name ?? pack.file),
+        span({class: "source"}, text(pack.json || error ? ` ${pack.file}${forms ? `, ${forms} forms` : ""} ` : " loading… ")),
+        pack.text !== undefined && button({ type: "button", onclick: RemovePack(pack.file) }, text("✕ remove")),
+        pack.text !== undefined && is_module(pack.file) && span({class: "source"}, text(" runs as code, so it isn't kept for the next visit")),
+        error && p({class: "warning"}, text(error)),
+        !error && pack.json && pack_warnings[pack.json.id] && ul({class: "warning"}, pack_warnings[pack.json.id].map(warning => li(text(warning)))),
+      ])
+    })),
+    label([
+      text("load a pack (JSON, or an ES module, which runs as code) "),
+      input({ type: "file", accept: ".json,.mjs,.js,application/json,text/javascript", onchange: LoadPackFile }),
+    ]),
+  ])
+
+const BATCH_ROWS_SHOWN = 100
+
+// Columns for each variable, the variable to solve for, and the table with its results
+const batch_view = (batch, form_id, form) =>
+  details({class: "batch"}, [
+    summary(text("batch")),
+    label([
+      text("CSV file "),
+      input({ type: "file", accept: ".csv,.tsv,.txt,text/csv", onchange: LoadFile(form_id) }),
+    ]),
+    batch?.error && p({class: "warning"}, text(batch.error)),
+    ...(batch?.table ? unread_columns(batch) : []).map(v_id => p({class: "warning"}, text(`${batch.unit_errors[v_id]}; choose its unit below`))),
+    batch?.table && table({class: "mapping"}, [
+      tbody(Object.entries(form.variables).map(([v_id, v]) => tr([
+        th(text(v.symbol)),
+        td(v_id == batch.target ? text("solved for") : select({ oninput: MapColumn(form_id, v_id) }, [
+          option({ value: "", selected: !(v_id in batch.columns) }, text("value in the form")),
+          ...batch.table[0].map((cell, i) => option({ value: i, selected: batch.columns[v_id] === i }, text(cell))),
+        ])),
+        td(v.unit && unitDropdown({ oninput: BatchUnit(form_id, v_id) }, batch.units[v_id] ?? v.unit)),
+      ]))),
+    ]),
+    batch?.table && label([
+      text("solve for "),
+      select({ oninput: BatchTarget(form_id) }, Object.entries(form.variables).map(([v_id, v]) =>
+        option({ value: v_id, selected: v_id == batch.target }, text(`${v.symbol}: ${v.name}`))
+      )),
+    ]),
+    batch?.results && p([
+      text(`${batch.results.filter(r => !r.error).length} of ${batch.results.length} rows solved `),
+      button({ type: "button", onclick: RerunBatch(form_id) }, text("↻ solve again")),
+      button({ type: "button", onclick: DownloadBatch(form_id) }, text("⬇ download CSV")),
+    ]),
+    batch?.results && table({class: "results"}, [
+      thead(tr([...batch.table[0], result_column(form, batch), "error"].map(cell => th(text(cell))))),
+      tbody(batch.table.slice(1, BATCH_ROWS_SHOWN + 1).map((row, i) => {
+        const result = batch.results[i]
+        return tr({class: { failed: !!result.error }}, [
+          ...row.map(cell => td(text(cell))),
+          td(text(result.error ? "" : short_scientific(result.value))),
+          td({class: "warning"}, text(result.error ?? result.warnings.join("; "))),
+        ])
+      })),
+    ]),
+    batch?.results?.length > BATCH_ROWS_SHOWN && p(text(`and ${batch.results.length - BATCH_ROWS_SHOWN} more rows in the CSV`)),
+  ])
+
+// Copy or download a form as LaTeX, Markdown or JSON, or import a JSON export
+const export_view = (export_format, import_error, group_id, form_id) =>
+  details({class: "export"}, [
+    summary(text("export")),
+    p([
+      select({ oninput: ChooseFormat }, Object.entries(formats).map(([id, format]) =>
+        option({ value: id, selected: id == export_format }, text(format.name))
+      )),
+      button({ type: "button", onclick: CopyExport(form_id) }, text("📋 copy")),
+      button({ type: "button", onclick: DownloadExport(form_id) }, text("⬇ download")),
+    ]),
+    label([
+      text("import JSON "),
+      input({ type: "file", accept: ".json,application/json", onchange: ImportFile(group_id, form_id) }),
+    ]),
+    import_error && p({class: "warning"}, text(import_error)),
+  ])
+
+const from_tree = (node) => typeof node == "string"
+  ? text(node)
+  : h(node.tag, node.attributes, node.children.map(from_tree))
+
+// Only drawn again when the settings, the form's values or units, or the constants change
+const chart_view = ({ form_id, key, ...plot }) => {
+  try {
+    return from_tree(plot_of(form_id, find_form(form_id, data), plot))
+  } catch (error) {
+    if (!(error instanceof PlotError)) throw error
+    return p({class: "warning"}, text(error.message))
+  }
+}
+
+const variable_select = (form, props, chosen, excluded = []) =>
+  select(props, Object.entries(form.variables).filter(([v_id]) => !excluded.includes(v_id)).map(([v_id, v]) =>
+    option({ value: v_id, selected: v_id == chosen }, text(`${v.symbol}: ${v.name.trim()}`))
+  ))
+
+const scale_select = (props, chosen) =>
+  select(props, SCALES.map(scale => option({ value: scale, selected: scale == chosen }, text(scale))))
+
+const plot_view = (plot, form_id, form) => {
+  const settings = plot_settings(form, plot)
+  const key = JSON.stringify([Object.values(form.variables).map(v => [v.value, v.unit]), constants])
+  return details({class: "plot"}, [
+    summary(text("plot")),
+    p([
+      label([text("sweep "), variable_select(form, { oninput: ChangePlot(form_id, "x") }, settings.x)]),
+      label([text(" from "), input({ type: "number", value: settings.from, oninput: ChangePlot(form_id, "from") })]),
+      label([text(" to "), input({ type: "number", value: settings.to, oninput: ChangePlot(form_id, "to") })]),
+      text(" "),
+      scale_select({ oninput: ChangePlot(form_id, "scale") }, settings.scale),
+      label([text(" in "), input({ type: "number", min: 2, max: 1000, value: settings.steps, oninput: ChangePlot(form_id, "steps") }), text(" steps")]),
+    ]),
+    p([
+      label([text("chart "), variable_select(form, { oninput: ChangePlot(form_id, "y") }, settings.y, [settings.x])]),
+      text(" "),
+      scale_select({ oninput: ChangePlot(form_id, "y_scale") }, settings.y_scale),
+    ]),
+    p([
+      label([text("one curve for each "), select({ oninput: ChangePlot(form_id, "family") }, [
+        option({ value: "", selected: !settings.family }, text("(just one curve)")),
+        ...Object.entries(form.variables).filter(([v_id]) => ![settings.x, settings.y].includes(v_id)).map(([v_id, v]) =>
+          option({ value: v_id, selected: v_id == settings.family }, text(`${v.symbol}: ${v.name.trim()}`))
+        ),
+      ])]),
+      settings.family && label([
+        text(" = "),
+        input({ type: "text", placeholder: "1, 2, 5", value: settings.family_values, oninput: ChangePlot(form_id, "family_values") }),
+      ]),
+    ]),
+    memo(chart_view, { form_id, key, ...settings }),
+    button({ type: "button", onclick: DownloadPlot(form_id) }, text("⬇ download SVG")),
+  ])
+}
+
+// The steps taken in a form, latest first. Choosing one puts the form back as it was after it
+const history_view = (timeline, group_id, form_id) => {
+  const entries = of_form(timeline, [group_id, form_id])
+  return entries.length > 0 && details({class: "history"}, [
+    summary(text(`history (${entries.length})`)),
+    ol(entries.map(entry =>
+      li({class: { current: entry.index == timeline.index, undone: entry.index > timeline.index }},
+        button({type: "button", onclick: RestoreForm(group_id, form_id, entry.index)}, text(entry.label))
+      )
+    )),
+  ])
+}
+
+const palette_view = (state) => div({id: "palette"}, [
+  div({class: "backdrop", onclick: ClosePalette}),
+  div({class: "panel"}, [
+    input({
+      type: "text",
+      placeholder: state.palette.unit_of ? "unit…" : "go to, focus, change unit, pin, reset or copy…",
+      value: state.palette.query,
+      oninput: PaletteQuery,
+      onkeydown: PaletteKey,
+    }),
+    ul(palette_matches(state).map((command, i) =>
+      li({class: {picked: i == state.palette.at}, onclick: RunCommand(command)}, highlighted(command.label, command.ranges))
+    )),
+    p({class: "keys"}, text("↑ ↓ Enter · Esc closes · Alt+↑ ↓ variables · Alt+Page Up/Down forms · Page Up/Down exponent")),
+  ]),
+])
+
+// The formula for each variable, as MathML, with the one being calculated marked.
+// Variables solved from the same equation share it
+const formulas_view = (form) => {
+  const shown = new Map()
+  for (const v_id in form.variables)
+    for (const relation of relations_of(form, v_id)) {
+      const key = to_text(relation, form)
+      if (!shown.has(key)) shown.set(key, { relation, current: false })
+      if (v_id == form.order[0]) shown.get(key).current = true
+    }
+  return ul({class: "formulas"}, [...shown.entries()].map(([key, { relation, current }]) =>
+    li({class: { current }, title: key, innerHTML: to_mathml(relation, form)})
+  ))
+}
 
 app({
-  init: { data, filter: "" },
-  view: ({ data, filter }) =>
+  init: (() => {
+    const workspace = load()
+    const custom = Array.isArray(workspace?.custom) ? workspace.custom : []
+    const custom_errors = put_custom(custom)
+    const changes = from_hash(location.hash) ?? workspace
+    // JSON packs from local files were kept whole, and load again as a pack from a URL would
+    const pack_files = (Array.isArray(workspace?.packs) ? workspace.packs : [])
+      .filter(pack => typeof pack?.file == "string" && typeof pack.text == "string" && !is_module(pack.file))
+      .map(({ file, text }) => ({ file, text }))
+    const state = restore(
+      {
+        data, custom, custom_errors, custom_error: "", editor: null,
+        packs: pack_files, packs_listed: false, pack_errors: {}, pack_warnings: {}, pending: pending_of(changes),
+        filter: typeof workspace?.filter == "string" ? workspace.filter : "",
+        open: Array.isArray(workspace?.open) ? workspace.open : [],
+        links: [], linking: null, link_error: "", storage_error: "", picked: null, palette: null,
+        typing: workspace?.typing === true,
+        display: saved_display(workspace?.display),
+      },
+      changes
+    )
+    return [
+      { ...state, timeline: start_history(changes_of(state)), catalog: {}, catalog_error: "", batches: {}, plots: {}, export_format: "latex", import_errors: {} },
+      [fetch_catalog, "./catalog.json"],
+      [fetch_packs, "./packs.json"],
+      ...pack_files.map(pack => [read_pack, pack]),
+    ]
+  })(),
+  subscriptions: (state) => {
+    const changes = kept_changes(state)
+    const packs = state.packs.filter(pack => pack.text !== undefined && !is_module(pack.file)).map(({ file, text }) => ({ file, text }))
+    return [
+      [sync_hash, encode(changes)],
+      [keep_workspace, { ...changes, filter: state.filter, open: state.open, typing: state.typing, display: state.display, custom: state.custom, packs }],
+      [shortcuts],
+    ]
+  },
+  view: ({ data, filter, open, links, linking, link_error, storage_error, timeline, constant_set, catalog, catalog_error, batches, plots, export_format, import_errors, typing, display, picked, palette, custom, custom_errors, custom_error, editor, packs, pack_errors, pack_warnings }) =>
     main([
       h1(text('ASTROFORMULATRON')),
       p(text('An astronomy calculator by Xing')),
-      ...Object.entries(data).map(([g_id, g]) => 
+      storage_error && p({class: "warning"}, text(storage_error)),
+      nav({id: "undo"}, [
+        button({type: "button", title: "undo (Ctrl+Z)", disabled: !can_undo(timeline), onclick: Undo}, text("↶ undo")),
+        button({type: "button", title: "redo (Ctrl+Shift+Z)", disabled: !can_redo(timeline), onclick: Redo}, text("↷ redo")),
+        label({title: "type values such as 2*1.496e11, sqrt(2)/3, 4.2 ly, 12h 30m or 0.1c, in the unit shown unless given"}, [
+          input({type: "checkbox", checked: typing, onchange: ToggleTyping}),
+          text(" ✎ type expressions"),
+        ]),
+        label({title: "significant figures shown, unless a form sets its own; values keep their full precision"}, [
+          select({ oninput: ChangeDisplay("digits") }, DIGITS.map(n =>
+            option({ value: n, selected: display.digits == n }, text(n))
+          )),
+          text(" figures"),
+        ]),
+        select({ title: "notation", oninput: ChangeDisplay("notation") }, NOTATIONS.map(notation =>
+          option({ value: notation, selected: display.notation == notation }, text(notation))
+        )),
+        label({title: "show results in SI-prefixed units, such as kiloparsecs for thousands of parsecs"}, [
+          input({type: "checkbox", checked: display.prefixes, onchange: ChangeDisplay("prefixes")}),
+          text(" k/M/G prefixes"),
+        ]),
+      ]),
+      constants_view(constant_set),
+      custom_view(custom, custom_errors, custom_error, editor),
+      packs_view(packs, pack_errors, pack_warnings),
+      catalog_error && p({class: "warning"}, text(catalog_error)),
+      (links.length || linking || link_error) && section({id: "chains"}, [
+        h2(text("Chains")),
+        linking && p(text(`Linking from ${link_name(data, linking)}. Choose a variable in another form to link to.`)),
+        link_error && p({class: "warning"}, text(link_error)),
+        ...chains(links).map(path => chain_view(data, path)),
+      ]),
+      // Groups with no forms found are left out
+      ...by_group(search(filter, data)).map(({ group: g_id, results }) =>
         section({class: "group", id: g_id}, [
-          h2(a({href: "#"+g_id}, text(g.name))),
-          ul({class: "forms"}, Object.entries(g.forms).map(([f_id, f]) => 
-            compress_match(f.name).includes(filter) && li({class: "form", id: f_id}, form([
-              details([
-                summary(h3(text(f.name))),
-                f.description && p(text(f.description)),
-                code(formula(f.variables[f.order[0]]))
+          h2(a({href: "#"+g_id}, text(data[g_id].name))),
+          ul({class: "forms"}, results.map(({ form: f_id, matches }) => {
+            const f = data[g_id].forms[f_id]
+            return li({class: {form: true, picked: !!filter.trim() && f_id == picked}, id: f_id}, form([
+              details({open: open.includes(f_id), ontoggle: Toggle(f_id)}, [
+                summary([
+                  h3(highlighted(f.name, matches.name)),
+                  // A description that matched shows even while the form is closed
+                  !open.includes(f_id) && matches.description && p({class: "found"}, highlighted(f.description, matches.description)),
+                ]),
+                f.description && p(highlighted(f.description, matches.description)),
+                formulas_view(f),
               ]),
-              ul({class: "variables"}, Object.entries(f.variables).map(([v_id, v]) => 
-                li({class: "variable", id: v_id}, label([
-                  span({class: "name"}, text(v.name)),
+              ul({class: "variables"}, Object.entries(f.variables).map(([v_id, v]) => {
+                const source = upstream(links, [g_id, f_id, v_id])
+                const settings = display_for(display, f)
+                const shown = fields_of(v, settings, v_id == f.order[0])
+                const found = ["variable", "symbol", "unit"].some(kind => matches[`${kind}:${v_id}`])
+                return li({class: {variable: true, found}, id: v_id}, label([
+                  span({class: "name"}, highlighted(v.name, matches[`variable:${v_id}`])),
                   span({class: "prefix"}, text(v.prefix || '')),
+                  f.pinned?.includes(v_id) && span({class: "pinned", title: "pinned: kept as entered"}, text("📌")),
                   span({class: "definition"}, [
-                    span({class: "symbol"}, text(v.symbol)),
+                    span({class: "symbol"}, highlighted(v.symbol, matches[`symbol:${v_id}`])),
                     span(text("=")),
-                    input({
-                      type: "number", 
-                      name: "mantissa",
-                      class: sign(v.mantissa),
-                      step: 0.1,
-                      value: v.mantissa,
-                      oninput: Calculate(g_id, f_id, v_id),
-                      onchange: Calculate(g_id, f_id, v_id, true),
-                      onfocus: Reorder(g_id, f_id, v_id),
-                    }),
-                    text(" × 10"),
-                    input({
-                      type: "number",
-                      name: "exponent",
-                      class: sign(v.exponent),
-                      step: 1,
-                      value: v.exponent,
-                      oninput: Calculate(g_id, f_id, v_id),
-                      onfocus: Reorder(g_id, f_id, v_id),
-                    }),
+                    ...(typing ? [
+                      input({
+                        type: "text",
+                        name: "text",
+                        class: { expression: true, invalid: !!shown.error },
+                        value: shown.text ?? `${shown.mantissa}${shown.exponent != 0 ? "e" + shown.exponent : ""}`,
+                        readonly: !!source,
+                        oninput: Enter(g_id, f_id, v_id),
+                        onfocus: Reorder(g_id, f_id, v_id),
+                      }),
+                      shown.error && span({class: "warning"}, text(shown.error)),
+                    ] : [
+                      input({
+                        type: "number", 
+                        name: "mantissa",
+                        class: sign(shown.mantissa),
+                        step: 0.1,
+                        value: shown.mantissa,
+                        readonly: !!source,
+                        oninput: Calculate(g_id, f_id, v_id),
+                        onchange: Calculate(g_id, f_id, v_id, true),
+                        onfocus: Reorder(g_id, f_id, v_id),
+                      }),
+                      // Plain numbers have no exponent to edit
+                      ...(settings.notation == "plain" ? [] : [
+                        text(" × 10"),
+                        input({
+                          type: "number",
+                          name: "exponent",
+                          class: sign(shown.exponent),
+                          step: settings.notation == "engineering" ? 3 : 1,
+                          value: shown.exponent,
+                          readonly: !!source,
+                          oninput: Calculate(g_id, f_id, v_id),
+                          onfocus: Reorder(g_id, f_id, v_id),
+                        }),
+                      ]),
+                    ]),
+                    v_id == f.order[0]
+                      ? v.error && span({class: "uncertainty"}, text(format_error(v.error,
+                        display_scale(v) / (shown.unit == v.unit ? 1 : convert(1, v.unit, shown.unit))
+                      )))
+                      : input({
+                        type: "text",
+                        name: "uncertainty",
+                        class: { uncertainty: true, invalid: isNaN(sigma_of(v)) },
+                        placeholder: "±",
+                        value: v.uncertainty || "",
+                        oninput: ChangeUncertainty(g_id, f_id, v_id),
+                      }),
                     v.unit && unitDropdown({
                       oninput: ChangeUnit(g_id, f_id, v_id)
-                    }, v.unit)
+                    }, shown.unit),
+                    !source && objects_for(catalog, v).length > 0 && select({
+                      class: "catalog",
+                      title: `take the ${quantities[v.quantity].name} of an object`,
+                      onchange: Pick(g_id, f_id, v_id),
+                    }, [
+                      option({ value: "" }, text("📖")),
+                      ...objects_for(catalog, v).map(([o_id, o]) => option({ value: o_id }, text(o.name))),
+                    ]),
+                    v_id == f.order[0] && !isFinite(v.value) && span({class: "warning"}, text("no solution")),
+                    v.domain && isFinite(v.value) && !in_domain(v.domain, v.value) && span({class: "warning"},
+                      text(`outside ${v.domain} ${v.default_unit || ""}`)
+                    ),
+                    source && a({class: "source", href: "#" + source.from[1]}, text("← " + link_name(data, source.from))),
+                    source
+                      ? button({type: "button", class: "link", title: "unlink", onclick: Unlink(g_id, f_id, v_id)}, text("✕"))
+                      : button({
+                        type: "button",
+                        class: { link: true, active: linking && same_variable(linking, [g_id, f_id, v_id]) },
+                        title: linking ? "link to here" : "link from here",
+                        onclick: Link(g_id, f_id, v_id),
+                      }, text("🔗")),
                   ])
                 ]))
-              ))
+              })),
+              label({class: "propagation"}, [
+                text("uncertainty propagation "),
+                select({ oninput: ChangePropagation(g_id, f_id) }, [
+                  option({ value: "linear", selected: f.propagation != "monte-carlo" }, text("linear")),
+                  option({ value: "monte-carlo", selected: f.propagation == "monte-carlo" }, text("Monte Carlo")),
+                ]),
+              ]),
+              label({class: "digits"}, [
+                text("significant figures "),
+                select({ oninput: ChangeDigits(g_id, f_id) }, [
+                  option({ value: "", selected: f.digits === undefined }, text(`as above (${display.digits})`)),
+                  ...DIGITS.map(n => option({ value: n, selected: f.digits == n }, text(n))),
+                ]),
+              ]),
+              history_view(timeline, g_id, f_id),
+              batch_view(batches[f_id], f_id, f),
+              plot_view(plots[f_id], f_id, f),
+              export_view(export_format, import_errors[f_id], g_id, f_id),
             ]))
-          )),
+          })),
       ])),
-      input({id: "filter", type: "text", placeholder: "🔍", oninput: Filter}),
+      input({
+        id: "filter",
+        type: "text",
+        placeholder: "🔍",
+        title: "search forms, variables, symbols and units; ↑ ↓ to step through, Enter to open",
+        value: filter,
+        oninput: Filter,
+        onkeydown: SearchKey,
+      }),
+      palette && palette_view({ data, filter, open, display, palette }),
       p({id: "credits"}, [
         text("Made by "),
         a({href: "https://x-ing.space"}, text("Xing")),
@@ -197,3 +1564,6 @@ app({
   ,
   node: document.getElementById("app"),
 })
+
+// The state in the hash stops the browser from finding the anchor by itself
+requestAnimationFrame(() => document.getElementById(split_hash(location.hash).anchor)?.scrollIntoView())
@@ -0,0 +1,145 @@
+// Finding forms by what they're about: their names and descriptions, and the names, symbols
+// and units of their variables and constants. Matches are ranked, forgive a typo, and say
+// where they are in each text so they can be highlighted
+
+import { data } from "./data.mjs"
+import { named } from "./units.mjs"
+import { names } from "./expression.mjs"
+import { names as constant_names, symbols as constant_symbols } from "./constants.mjs"
+import { relations_of } from "./math.mjs"
+
+// How much a match counts in each kind of text
+const WEIGHTS = { name: 10, symbol: 8, variable: 5, unit: 4, constant: 4, description: 3 }
+
+// How well a term matches: a whole word, the start of one, anywhere, or a word one typo away
+const QUALITIES = { word: 1, prefix: 0.8, inside: 0.5, typo: 0.3 }
+
+// Lower case without accents, with subscripts as plain digits and letters, keeping every
+// character in its place: "H₀" folds to "h0" and "µ" to "μ"
+const fold = (text) => [...text].map(c => {
+  const plain = c.normalize("NFKD")[0].toLowerCase()
+  return plain.length == c.length ? plain : c.toLowerCase().length == c.length ? c.toLowerCase() : c
+}).join("")
+
+// Every text of a form that can be searched, as { key, kind, text }.
+// Keys name the text, as "name" or "symbol:d"
+const texts_of = (form) => {
+  const texts = [{ key: "name", kind: "name", text: form.name }]
+  if (form.description) texts.push({ key: "description", kind: "description", text: form.description })
+  for (const [v_id, v] of Object.entries(form.variables)) {
+    texts.push({ key: `variable:${v_id}`, kind: "variable", text: v.name })
+    texts.push({ key: `symbol:${v_id}`, kind: "symbol", text: v.symbol })
+    if (v.unit) texts.push({ key: `unit:${v_id}`, kind: "unit", text: [v.unit, named[v.unit]?.[1]].filter(Boolean).join(" ") })
+  }
+  const used = new Set(Object.keys(form.variables).flatMap(v_id => relations_of(form, v_id).flatMap(({ tree }) => [...names(tree)])))
+  for (const c_id in constant_names)
+    if (used.has(c_id)) texts.push({
+      key: `constant:${c_id}`, kind: "constant", text: `${constant_names[c_id]} ${constant_symbols[c_id].replace("_", "")}`,
+    })
+  return texts.map(t => ({ ...t, folded: fold(t.text) }))
+}
+
+// The forms of a source and their texts, in the order they are listed
+const index_of = (source = data) => Object.entries(source).flatMap(([group_id, group]) =>
+  Object.entries(group.forms).map(([form_id, form]) => ({ group: group_id, form: form_id, texts: texts_of(form) }))
+)
+
+// Edits between two words, stopping once there are more than `most`
+const distance = (a, b, most) => {
+  if (Math.abs(a.length - b.length) > most) return most + 1
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j)
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i]
+    for (let j = 1; j <= b.length; j++)
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1))
+    if (Math.min(...next) > most) return most + 1
+    row = next
+  }
+  return row[b.length]
+}
+
+// The best match of a term in folded text, as { quality, range: [start, end] }
+const match = (term, folded) => {
+  const words = [...folded.matchAll(/[\p{L}\p{N}]+/gu)].map(w => ({ word: w[0], start: w.index }))
+  const word = words.find(({ word }) => word == term)
+  if (word) return { quality: QUALITIES.word, range: [word.start, word.start + term.length] }
+  const prefix = words.find(({ word }) => word.startsWith(term))
+  if (prefix) return { quality: QUALITIES.prefix, range: [prefix.start, prefix.start + term.length] }
+  const at = folded.indexOf(term)
+  if (at >= 0) return { quality: QUALITIES.inside, range: [at, at + term.length] }
+  // Short terms would match too much with a typo
+  if (term.length < 4) return undefined
+  const most = term.length >= 8 ? 2 : 1
+  const typo = words.find(({ word }) => distance(term, word, most) <= most || distance(term, word.slice(0, term.length), most) <= most)
+  if (typo) return { quality: QUALITIES.typo, range: [typo.start, typo.start + typo.word.length] }
+}
+
+// Forms matching every word of a query, best first, as { group, form, score, matches }.
+// `matches` gives the [start, end] ranges of the query in each text that holds it, by key.
+// An empty query finds every form, in the order they are listed
+const search = (query, source = data) => {
+  const terms = fold(query).split(/\s+/).filter(Boolean)
+  const found = []
+  for (const { group, form, texts } of index_of(source)) {
+    let score = 0
+    const matches = {}
+    const matched = terms.every(term => {
+      let best = 0
+      for (const { key, kind, folded } of texts) {
+        const m = match(term, folded)
+        if (!m) continue
+        best = Math.max(best, WEIGHTS[kind] * m.quality)
+        ;(matches[key] ??= []).push(m.range)
+      }
+      score += best
+      return best > 0
+    })
+    if (matched) found.push({ group, form, score, matches })
+  }
+  return found.sort((a, b) => b.score - a.score)
+}
+
+// How well one text matches every word of a query, as { score, ranges }, or undefined
+const score_text = (query, text) => {
+  const folded = fold(text)
+  let score = 0
+  const ranges = []
+  for (const term of fold(query).split(/\s+/).filter(Boolean)) {
+    const m = match(term, folded)
+    if (!m) return undefined
+    score += m.quality
+    ranges.push(m.range)
+  }
+  return { score, ranges }
+}
+
+// Results gathered into their groups, each group placed by its best result
+const by_group = (results) => {
+  const groups = new Map()
+  for (const result of results) {
+    if (!groups.has(result.group)) groups.set(result.group, [])
+    groups.get(result.group).push(result)
+  }
+  return [...groups.entries()].map(([group, results]) => ({ group, results }))
+}
+
+// Text split into runs, marking the runs inside the ranges, as [{ text, marked }]
+const runs = (text, ranges = []) => {
+  const marked = Array.from({ length: text.length }, () => false)
+  for (const [start, end] of ranges) marked.fill(true, start, end)
+  const parts = []
+  for (let i = 0; i < text.length; i++) {
+    if (parts.length && parts[parts.length - 1].marked == marked[i]) parts[parts.length - 1].text += text[i]
+    else parts.push({ text: text[i], marked: marked[i] })
+  }
+  return parts
+}
+
+export {
+  fold,
+  index_of,
+  search,
+  score_text,
+  by_group,
+  runs,
+}
@@ -0,0 +1,74 @@
+// Propagation of uncertainties through a function of several variables
+// Uncertainties are one standard deviation, in the same unit as the values
+
+const PI = Math.PI
+
+// Standard normal samples by the Box-Muller transform
+const normal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * PI * random())
+
+// "0.3" is absolute, "5%" is relative to the value
+// Returns NaN for text that is neither
+const parse_uncertainty = (text, value) => {
+  text = String(text ?? "").trim()
+  if (text == "") return 0
+  const relative = text.endsWith("%")
+  const x = Number(relative ? text.slice(0, -1) : text)
+  if (!isFinite(x) || x < 0) return NaN
+  return relative ? Math.abs(value) * x / 100 : x
+}
+
+// First-order propagation with central-difference derivatives
+const linear = (f, values, sigmas) => {
+  const value = f(values)
+  let variance = 0
+  for (const [id, sigma] of Object.entries(sigmas)) {
+    if (!sigma) continue
+    const x = values[id], h = sigma * 1e-3
+    const derivative = (f({ ...values, [id]: x + h }) - f({ ...values, [id]: x - h })) / (2 * h)
+    variance += (derivative * sigma) ** 2
+  }
+  const error = Math.sqrt(variance)
+  return { value, minus: error, plus: error }
+}
+
+const quantile = (sorted, p) => {
+  const i = (sorted.length - 1) * p, lo = Math.floor(i), hi = Math.ceil(i)
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (i - lo)
+}
+
+// Sample normally distributed inputs and take the central 68% of the results,
+// which need not be symmetric about the value
+const monte_carlo = (f, values, sigmas, { samples = 2000, random = Math.random } = {}) => {
+  const value = f(values)
+  const results = []
+  for (let i = 0; i < samples; i++) {
+    const sample = { ...values }
+    for (const [id, sigma] of Object.entries(sigmas))
+      if (sigma) sample[id] = values[id] + sigma * normal(random)
+    const y = f(sample)
+    if (isFinite(y)) results.push(y)
+  }
+  // Too many samples fell outside where f is defined
+  if (results.length < samples / 2) return { value, minus: NaN, plus: NaN }
+  results.sort((a, b) => a - b)
+  return {
+    value,
+    minus: Math.max(value - quantile(results, 0.15866), 0),
+    plus: Math.max(quantile(results, 0.84134) - value, 0),
+  }
+}
+
+const propagate = (f, values, sigmas, { mode = "linear", ...options } = {}) =>
+  mode == "monte-carlo" ? monte_carlo(f, values, sigmas, options) : linear(f, values, sigmas)
+
+const asymmetric = ({ minus, plus }, tolerance = 0.05) =>
+  Math.abs(plus - minus) > tolerance * Math.max(plus, minus)
+
+export {
+  normal,
+  parse_uncertainty,
+  linear,
+  monte_carlo,
+  propagate,
+  asymmetric,
+}
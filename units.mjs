@@ -1,76 +1,367 @@
 const PI = Math.PI
 
-const units = {
-  length: { // base: meters
-    "angstroms": 1e-10,
-    "nanometers": 1e-9, 
-    "centimeters": 1e-2,
-    "meters": 1,
-    "kilometers": 1e+3, 
-    "R⊙": 6.957e+8, 
-    "AUs": 1.496e+11, 
-    "light-years": 9.461e+15, 
-    "parsecs": 3.086e+16, 
-    "kiloparsecs": 3.086e+19,
-    "megaparsecs": 3.086e+22,
-  },
-  angle: { // base: degrees
-    "milliarcseconds": 1e-3/360,
-    "arcseconds": 1/360,
-    "arcminutes": 1/60,
-    "degrees": 1,
-    "radians": 180/PI,
-  },
-  time: { // base: seconds
-    "seconds": 1,
-    "minutes": 60,
-    "hours": 360,
-    "days": 86400,
-    "years": 31557600,
-  },
-  power: { // base: watts
-    "watts": 1,
-    "megawatts": 1e6,
-    "gigawatts": 1e9,
-    "terawatts": 1e12,
-    "L⊙": 3.828e+26,
-  },
-  force: { // base: newtons
-    "dynes": 1e-5,
-    "newtons": 1,
-  },
-  temperature: { // base: kelvins
-    "kelvins": 1,
-    "rankines": 5/9,
-    "T⊙": 5778,
-  },
-  speed: { // base: m/s
-    "meters/second": 1,
-    "kilometers/second": 1e3,
-    "c": 299792458,
-  },
-  frequency: { // base: hertz
-    "hertz": 1,
-    "kilometers/second/megaparsec": 3.086e+19,
-  },
-  angular_speed: { // base: degrees per second
-    "degrees/second": 1,
-    "arcseconds/year": 87660,
-  },
-  mass: { // base: kilograms
-    "grams": 1e-3,
-    "kilograms": 1,
-    "M⊙": 1.9891e+30,
+class UnitError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "UnitError"
   }
 }
 
-const kindOfUnit = (unit) => Object.keys(units)
-  .find(kind => Object.keys(units[kind]).includes(unit))
-  
-const factorOfUnit = (unit) => units[kindOfUnit(unit)][unit]
+// SI base dimensions, plus plane angle so that angles aren't mistaken for plain numbers
+const DIMENSIONS = ["m", "kg", "s", "K", "A", "mol", "cd", "rad"]
+
+// Symbols that take SI prefixes, each defined as a factor times other units
+// Bases are defined by their own dimension
+const symbols = {
+  "m": [1, { m: 1 }],
+  "g": [1e-3, { kg: 1 }],
+  "s": [1, { s: 1 }],
+  "K": [1, { K: 1 }],
+  "A": [1, { A: 1 }],
+  "mol": [1, { mol: 1 }],
+  "cd": [1, { cd: 1 }],
+  "rad": [1, { rad: 1 }],
+  "Hz": [1, "s^-1"],
+  "N": [1, "kg m s^-2"],
+  "J": [1, "N m"],
+  "W": [1, "J/s"],
+  "Pa": [1, "N/m^2"],
+  "eV": [1.602176634e-19, "J"],
+  "erg": [1e-7, "J"],
+  "dyn": [1e-5, "N"],
+  "pc": [3.0857e16, "m"],
+  "ly": [9.4607e15, "m"],
+  "yr": [31557600, "s"],
+  "as": [PI / 648000, "rad"],
+  "Jy": [1e-26, "W m^-2 Hz^-1"],
+}
+
+// Short units that don't take prefixes
+const abbreviations = {
+  "Å": [1e-10, "m"],
+  "AU": [1.495978707e11, "m"],
+  "°": [PI / 180, "rad"],
+  "deg": [1, "°"],
+  "arcmin": [1, "° / 60"],
+  "arcsec": [1, "as"],
+  "min": [60, "s"],
+  "h": [3600, "s"],
+  "d": [86400, "s"],
+}
+
+// Units that aren't a plain multiple of others convert through functions,
+// to and from the unit they're based on
+const functional = {
+  "°C": { unit: "K", to_base: x => x + 273.15, from_base: x => x - 273.15 },
+  "°F": { unit: "K", to_base: x => (x - 32) * 5 / 9 + 273.15, from_base: x => (x - 273.15) * 9 / 5 + 32 },
+  // Logarithmic scales of a ratio, which may be given as dex(L⊙) or mag(L⊙)
+  "dex": { unit: "", to_base: x => 10 ** x, from_base: x => Math.log10(x) },
+  "mag": { unit: "", to_base: x => 10 ** (-0.4 * x), from_base: x => -2.5 * Math.log10(x) },
+}
+
+// Units offered in unit menus
+const named = {
+  // length
+  "R⊙": [6.957e8, "m"],
+  "R⊕": [6.3781e6, "m"],
+  "angstroms": [1, "Å"],
+  "nanometers": [1, "nm"],
+  "micrometers": [1, "µm"],
+  "centimeters": [1, "cm"],
+  "meters": [1, "m"],
+  "kilometers": [1, "km"],
+  "AUs": [1, "AU"],
+  "light-years": [1, "ly"],
+  "parsecs": [1, "pc"],
+  "kiloparsecs": [1, "kpc"],
+  "megaparsecs": [1, "Mpc"],
+  "gigaparsecs": [1, "Gpc"],
+  // angle
+  "milliarcseconds": [1, "mas"],
+  "arcseconds": [1, "as"],
+  "arcminutes": [1, "arcmin"],
+  "degrees": [1, "°"],
+  "radians": [1, "rad"],
+  // time
+  "seconds": [1, "s"],
+  "minutes": [1, "min"],
+  "hours": [1, "h"],
+  "days": [1, "d"],
+  "years": [1, "yr"],
+  "megayears": [1, "Myr"],
+  "gigayears": [1, "Gyr"],
+  // power
+  "L⊙": [3.828e26, "W"],
+  "watts": [1, "W"],
+  "megawatts": [1, "MW"],
+  "gigawatts": [1, "GW"],
+  "terawatts": [1, "TW"],
+  "dex(L⊙)": [1, "dex(L⊙)"],
+  "ergs/second": [1, "erg/s"],
+  // flux
+  "watts/meter²": [1, "W/m^2"],
+  "ergs/second/centimeter²": [1, "erg/s/cm^2"],
+  // energy
+  "joules": [1, "J"],
+  "ergs": [1, "erg"],
+  "electronvolts": [1, "eV"],
+  // force
+  "dynes": [1, "dyn"],
+  "newtons": [1, "N"],
+  // temperature
+  "T⊙": [5778, "K"],
+  "kelvins": [1, "K"],
+  "rankines": [5 / 9, "K"],
+  "degrees Celsius": [1, "°C"],
+  "degrees Fahrenheit": [1, "°F"],
+  // speed
+  "c": [299792458, "m/s"],
+  "meters/second": [1, "m/s"],
+  "kilometers/second": [1, "km/s"],
+  // frequency
+  "hertz": [1, "Hz"],
+  "kilometers/second/megaparsec": [1, "km/s/Mpc"],
+  // angular speed
+  "degrees/second": [1, "°/s"],
+  "arcseconds/year": [1, "as/yr"],
+  "milliarcseconds/year": [1, "mas/yr"],
+  // mass
+  "M⊙": [1.98847e30, "kg"],
+  "M⊕": [5.9722e24, "kg"],
+  "grams": [1, "g"],
+  "kilograms": [1, "kg"],
+  "dex(M⊙)": [1, "dex(M⊙)"],
+}
+
+const prefixes = {
+  "Y": 1e24, "Z": 1e21, "E": 1e18, "P": 1e15, "T": 1e12, "G": 1e9, "M": 1e6, "k": 1e3, "h": 1e2, "da": 1e1,
+  "d": 1e-1, "c": 1e-2, "m": 1e-3, "µ": 1e-6, "μ": 1e-6, "u": 1e-6, "n": 1e-9, "p": 1e-12, "f": 1e-15, "a": 1e-18, "z": 1e-21, "y": 1e-24,
+}
+
+// Named quantities, for listing units by kind
+const kinds = {
+  length: "m",
+  angle: "rad",
+  time: "s",
+  mass: "kg",
+  temperature: "K",
+  power: "W",
+  energy: "J",
+  force: "N",
+  speed: "m/s",
+  frequency: "Hz",
+  angular_speed: "rad/s",
+  flux: "W/m^2",
+}
+
+const dimensionless = () => Object.fromEntries(DIMENSIONS.map(d => [d, 0]))
+
+const combine = (a, b, power = 1) => ({
+  factor: a.factor * b.factor ** power,
+  dimension: Object.fromEntries(DIMENSIONS.map(d => [d, a.dimension[d] + b.dimension[d] * power])),
+})
+
+const ONE = { factor: 1, dimension: dimensionless() }
+
+const SUPERSCRIPTS = { "⁻": "-", "⁰": "0", "¹": "1", "²": "2", "³": "3", "⁴": "4", "⁵": "5", "⁶": "6", "⁷": "7", "⁸": "8", "⁹": "9" }
+const TOKEN = /\s*(?:(\^\s*[-+]?\d+(?:\.\d+)?|[⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+)|([/*·()])|(\d+(?:\.\d*)?(?:e[-+]?\d+)?(?![\p{L}⊙⊕]))|([^\s/*·()^⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+))/uy
+
+const cache = new Map()
+
+// Look up a single unit symbol, with or without an SI prefix
+const atom = (name) => {
+  if (Object.hasOwn(named, name)) return define(name, named[name])
+  if (Object.hasOwn(abbreviations, name)) return define(name, abbreviations[name])
+  if (Object.hasOwn(functional, name)) return define_functional(functional[name])
+  if (Object.hasOwn(symbols, name)) return define(name, symbols[name])
+  for (const prefix in prefixes)
+    if (name.startsWith(prefix) && Object.hasOwn(symbols, name.slice(prefix.length))) {
+      const unit = define(name.slice(prefix.length), symbols[name.slice(prefix.length)])
+      return { ...unit, factor: unit.factor * prefixes[prefix] }
+    }
+  throw new UnitError(`unknown unit "${name}"`)
+}
+
+const define = (name, [factor, definition]) => {
+  if (!cache.has(name)) cache.set(name,
+      typeof definition != "string" ? { factor, dimension: { ...dimensionless(), ...definition } }
+    : factor == 1 ? parse(definition)
+    : { ...parse(definition), factor: factor * parse(definition).factor }
+  )
+  return cache.get(name)
+}
+
+// A functional unit based on `base`, with its functions made to go to and from SI
+const define_functional = ({ unit, to_base, from_base }, base = unit) => {
+  const { factor, dimension } = parse(base)
+  if (factor === undefined) throw new UnitError(`cannot base "${unit}" on "${base}"`)
+  return {
+    dimension,
+    to_si: x => to_base(x) * factor,
+    from_si: x => from_base(x / factor),
+  }
+}
+
+const LOGARITHMIC = /^\s*(\S+?)\s*\((.*)\)\s*$/
+
+// Parse a unit expression such as "km/s/Mpc", "erg/s/cm^2" or "M⊙·AU^-3"
+// Units next to each other multiply; "/" divides by the one unit right after it
+const parse = (expression) => {
+  expression = String(expression ?? "")
+  const key = "\u0000" + expression
+  if (cache.has(key)) return cache.get(key)
+  if (expression.trim() == "") return ONE
+
+  // dex(L⊙) is a logarithmic scale of L⊙
+  const logarithmic = expression.match(LOGARITHMIC)
+  if (logarithmic && Object.hasOwn(functional, logarithmic[1]) && functional[logarithmic[1]].unit == "") {
+    const result = define_functional(functional[logarithmic[1]], logarithmic[2])
+    cache.set(key, result)
+    return result
+  }
+
+  if (Object.hasOwn(named, expression)) return atom(expression)
+  if (Object.hasOwn(functional, expression.trim())) return atom(expression.trim())
+
+  const tokens = []
+  TOKEN.lastIndex = 0
+  while (TOKEN.lastIndex < expression.length) {
+    const match = TOKEN.exec(expression)
+    if (!match) {
+      if (expression.slice(TOKEN.lastIndex).trim() == "") break
+      throw new UnitError(`cannot parse unit "${expression}"`)
+    }
+    const [, power, op, number, name] = match
+    tokens.push(
+        power !== undefined ? { power: Number(power.replace("^", "").replace(/./g, c => SUPERSCRIPTS[c] ?? c)) }
+      : op !== undefined ? { op }
+      : number !== undefined ? { number: Number(number) }
+      : { name }
+    )
+  }
+
+  let i = 0
+  const product = () => {
+    let result = ONE
+    while (i < tokens.length && tokens[i].op != ")") {
+      const token = tokens[i]
+      if (token.op == "/") {
+        i++
+        result = combine(result, factor(), -1)
+      } else if (token.op == "*" || token.op == "·") {
+        i++
+      } else {
+        result = combine(result, factor())
+      }
+    }
+    return result
+  }
+  const factor = () => {
+    const token = tokens[i++]
+    let base
+    if (!token) throw new UnitError(`unit "${expression}" ends too early`)
+    if (token.op == "(") {
+      base = product()
+      if (tokens[i++]?.op != ")") throw new UnitError(`unbalanced parentheses in unit "${expression}"`)
+    }
+    else if (token.number !== undefined) base = { ...ONE, factor: token.number }
+    else if (token.name !== undefined) {
+      base = atom(token.name)
+      if (base.factor === undefined) throw new UnitError(`"${token.name}" can't be part of the compound unit "${expression}"`)
+    }
+    else throw new UnitError(`unexpected "${token.op ?? "^"}" in unit "${expression}"`)
+    if (tokens[i]?.power !== undefined) return combine(ONE, base, tokens[i++].power)
+    return base
+  }
+
+  const result = product()
+  if (i < tokens.length) throw new UnitError(`unbalanced parentheses in unit "${expression}"`)
+  cache.set(key, result)
+  return result
+}
+
+const dimension_of = (unit) => parse(unit).dimension
+
+const same_dimension = (a, b) => DIMENSIONS.every(d => a[d] == b[d])
+
+const compatible = (a, b) => same_dimension(dimension_of(a), dimension_of(b))
+
+const linear = (unit) => parse(unit).factor !== undefined
+
+const check_compatible = (from, to) => {
+  const a = parse(from), b = parse(to)
+  if (!same_dimension(a.dimension, b.dimension))
+    throw new UnitError(`cannot convert "${from}" (${format_dimension(a.dimension)}) to "${to}" (${format_dimension(b.dimension)})`)
+  return [a, b]
+}
+
+// Factor to multiply a value in `from` by to get it in `to`, for units that aren't functional
+const conversion_factor = (from, to) => {
+  if (from == to) return 1
+  const [a, b] = check_compatible(from, to)
+  if (!linear(from) || !linear(to)) throw new UnitError(`"${from}" to "${to}" is not a conversion by a factor`)
+  return a.factor / b.factor
+}
+
+const to_si = (unit, x) => unit.to_si ? unit.to_si(x) : x * unit.factor
+const from_si = (unit, x) => unit.from_si ? unit.from_si(x) : x / unit.factor
+
+const convert = (value, from, to) => {
+  if (from == to) return value
+  const [a, b] = check_compatible(from, to)
+  return from_si(b, to_si(a, value))
+}
+
+// How much a small difference at `value` in `from` is worth in `to`,
+// e.g. for converting uncertainties
+const scale = (value, from, to) => {
+  if (linear(from) && linear(to)) return conversion_factor(from, to)
+  const h = Math.abs(value) * 1e-4 || 1e-4
+  return (convert(value + h, from, to) - convert(value - h, from, to)) / (2 * h)
+}
+
+// e.g. "m s^-1"
+const format_dimension = (dimension) => DIMENSIONS
+  .filter(d => dimension[d])
+  .map(d => dimension[d] == 1 ? d : `${d}^${dimension[d]}`)
+  .join(" ") || "1"
+
+// Full names of the units that can stand in for `unit`
+const units_like = (unit) => {
+  const dimension = dimension_of(unit)
+  const like = Object.keys(named).filter(name => same_dimension(dimension_of(name), dimension))
+  return like.includes(unit) ? like : [unit, ...like]
+}
+
+const kind_of = (unit) => Object.keys(kinds).find(kind => compatible(kinds[kind], unit))
+
+const units_of_kind = (kind) => {
+  if (!Object.hasOwn(kinds, kind)) throw new UnitError(`unknown unit kind "${kind}"`)
+  return Object.fromEntries(units_like(kinds[kind])
+    .filter(name => Object.hasOwn(named, name))
+    .map(name => [name, linear(name) ? parse(name).factor : "(function)"])
+  )
+}
 
 export {
-  units,
-  kindOfUnit,
-  factorOfUnit
+  UnitError,
+  DIMENSIONS,
+  symbols,
+  abbreviations,
+  functional,
+  named,
+  prefixes,
+  kinds,
+  parse,
+  dimension_of,
+  same_dimension,
+  compatible,
+  linear,
+  conversion_factor,
+  convert,
+  scale,
+  format_dimension,
+  units_like,
+  kind_of,
+  units_of_kind,
 }
@@ -0,0 +1,197 @@
+// Self-checks for the forms in data.mjs
+// Each failure names its group, form and variable
+
+import { data, constant_units } from "./data.mjs"
+import { DIMENSIONS, parse as parse_unit, format_dimension, compatible, named } from "./units.mjs"
+import { ExpressionError, parse, evaluate, names } from "./expression.mjs"
+import { solver_for } from "./engine.mjs"
+import { formula_tree, relations_of, to_tex } from "./math.mjs"
+import { quantities } from "./catalog.mjs"
+import { latex_unit } from "./export.mjs"
+
+const TOLERANCE = 1e-6
+
+const close = (a, b) => Math.abs(a - b) <= TOLERANCE * Math.max(Math.abs(a), Math.abs(b)) || a === b
+
+// Angles count as plain numbers when checking dimensions, as in SI
+const ANALYSED = DIMENSIONS.filter(d => d != "rad")
+const NONE = Object.fromEntries(ANALYSED.map(d => [d, 0]))
+
+const dimension = (unit) => Object.fromEntries(ANALYSED.map(d => [d, parse_unit(unit).dimension[d]]))
+const times = (a, b, power = 1) => Object.fromEntries(ANALYSED.map(d => [d, a[d] + b[d] * power]))
+const equal = (a, b) => ANALYSED.every(d => Math.abs(a[d] - b[d]) < 1e-9)
+const is_none = (a) => equal(a, NONE)
+const show = (a) => format_dimension(Object.fromEntries(ANALYSED.map(d => [d, Math.round(a[d] * 1e6) / 1e6])))
+
+class DimensionError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = "DimensionError"
+  }
+}
+
+// Dimension of an expression, given the dimensions of its names
+const infer = (tree, dimensions) => {
+  switch (tree.type) {
+    case "number": return NONE
+    case "name":
+      if (!(tree.name in dimensions)) throw new DimensionError(`unknown name "${tree.name}"`)
+      return dimensions[tree.name]
+    case "unary": return infer(tree.arg, dimensions)
+    case "binary": {
+      const a = infer(tree.left, dimensions)
+      if (tree.op == "^") {
+        const b = infer(tree.right, dimensions)
+        if (!is_none(b)) throw new DimensionError(`exponent has dimension ${show(b)}`)
+        if (names(tree.right).size) {
+          if (!is_none(a)) throw new DimensionError(`${show(a)} raised to a variable power`)
+          return NONE
+        }
+        return times(NONE, a, evaluate(tree.right))
+      }
+      const b = infer(tree.right, dimensions)
+      if (tree.op == "*") return times(a, b)
+      if (tree.op == "/") return times(a, b, -1)
+      if (!equal(a, b)) throw new DimensionError(`cannot ${tree.op == "+" ? "add" : "subtract"} ${show(a)} and ${show(b)}`)
+      return a
+    }
+    case "call": {
+      const args = tree.args.map(arg => infer(arg, dimensions))
+      if (tree.name == "sqrt") return times(NONE, args[0], 1 / 2)
+      if (tree.name == "cbrt") return times(NONE, args[0], 1 / 3)
+      if (["abs", "min", "max"].includes(tree.name)) return args[0]
+      if (tree.name == "pow") return infer({ type: "binary", op: "^", left: tree.args[0], right: tree.args[1] }, dimensions)
+      // Logarithms of a quantity are taken in its unit, as with log10(d) in parsecs
+      return NONE
+    }
+    case "equation": {
+      const a = infer(tree.left, dimensions), b = infer(tree.right, dimensions)
+      if (!equal(a, b)) throw new DimensionError(`sides have dimensions ${show(a)} and ${show(b)}`)
+      return a
+    }
+  }
+}
+
+const check_form = (group_id, form_id, form) => {
+  const failures = []
+  const fail = (variable, check, message) => failures.push({ group: group_id, form: form_id, variable, check, message })
+  const ids = Object.keys(form.variables)
+
+  // Calculation order
+  for (const v_id of ids)
+    if (!form.order.includes(v_id)) fail(v_id, "order", "missing from order")
+  for (const v_id of form.order)
+    if (!ids.includes(v_id)) fail(v_id, "order", "in order but not a variable")
+    else if (form.order.indexOf(v_id) != form.order.lastIndexOf(v_id)) fail(v_id, "order", "in order more than once")
+  if (failures.length) return failures
+
+  // Units
+  const dimensions = Object.fromEntries(Object.entries(constant_units).map(([c, unit]) => [c, dimension(unit)]))
+  for (const [v_id, v] of Object.entries(form.variables)) {
+    try {
+      dimensions[v_id] = dimension(v.default_unit ?? v.unit)
+    } catch (error) {
+      fail(v_id, "unit", error.message)
+    }
+  }
+  if (failures.length) return failures
+
+  // Catalog quantities
+  for (const [v_id, v] of Object.entries(form.variables)) {
+    if (v.quantity === undefined) continue
+    if (!Object.hasOwn(quantities, v.quantity)) fail(v_id, "quantity", `unknown quantity "${v.quantity}"`)
+    else if (!compatible(quantities[v.quantity].unit, v.default_unit ?? v.unit))
+      fail(v_id, "quantity", `${quantities[v.quantity].name} is not measured in ${v.unit}`)
+  }
+
+  // Defaults taken from constants, in a unit they can be converted to
+  for (const [v_id, v] of Object.entries(form.variables)) {
+    if (v.constant === undefined) continue
+    if (!Object.hasOwn(constant_units, v.constant)) fail(v_id, "constant", `unknown constant "${v.constant}"`)
+    else if (!compatible(constant_units[v.constant], v.default_unit ?? v.unit))
+      fail(v_id, "constant", `${v.constant} is not measured in ${v.unit}`)
+  }
+
+  // Formulas are shown from their expression trees, so each has to be one
+  for (const [v_id, v] of Object.entries(form.variables)) {
+    if (!v.formula) continue
+    try {
+      formula_tree(v.formula)
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error
+      fail(v_id, "formula", error.message)
+    }
+  }
+  if (failures.length) return failures
+
+  // Dimensions of formulas and equations
+  if (form.dimensional !== false) {
+    const relations = [
+      ...Object.entries(form.variables).filter(([, v]) => v.formula).map(([v_id, v]) => [v_id, () => {
+        const tree = formula_tree(v.formula)
+        const found = infer(tree, dimensions)
+        if (!equal(found, dimensions[v_id]))
+          throw new DimensionError(`formula has dimension ${show(found)} but the unit has ${show(dimensions[v_id])}`)
+      }]),
+      ...[form.equation, ...(form.pieces ?? []).map(piece => piece.equation)]
+        .filter(Boolean)
+        .map(equation => [undefined, () => infer(parse(equation), dimensions)]),
+    ]
+    for (const [v_id, check] of relations) {
+      try {
+        check()
+      } catch (error) {
+        fail(v_id, "dimension", error.message)
+      }
+    }
+  }
+
+  // LaTeX exports: units such as M⊙ by their own symbol rather than the one they convert to,
+  // and formulas pdfLaTeX can typeset
+  for (const [v_id, v] of Object.entries(form.variables)) {
+    const [factor, base] = named[v.unit] ?? [1, v.unit]
+    if (factor != 1 && latex_unit(v.unit) == latex_unit(base)) fail(v_id, "export", `${v.unit} is written as ${base}`)
+  }
+  const exported = [
+    ...ids.filter(v_id => form.variables[v_id].formula).map(v_id => [v_id, relations_of(form, v_id)]),
+    ...(form.equation || form.pieces ? [[undefined, relations_of(form, form.order[0])]] : []),
+  ]
+  for (const [v_id, relations] of exported) {
+    const unsafe = relations.flatMap(relation => to_tex(relation, form).match(/[^\x20-\x7e]/gu) ?? [])
+    if (unsafe.length) fail(v_id, "export", `LaTeX formula has ${[...new Set(unsafe)].join(" ")}`)
+  }
+
+  // Solving each variable from the defaults, then solving every other variable back
+  const defaults = Object.fromEntries(Object.entries(form.variables).map(([v_id, v]) => [v_id, Number(v.value)]))
+  for (const v_id of ids) {
+    try {
+      const solved = { ...defaults, [v_id]: solver_for(form, v_id)(defaults) }
+      if (!isFinite(solved[v_id])) {
+        fail(v_id, "round-trip", "cannot be solved from the defaults")
+        continue
+      }
+      for (const w_id of ids) {
+        if (w_id == v_id) continue
+        const back = solver_for(form, w_id)(solved)
+        if (!close(back, solved[w_id]))
+          fail(w_id, "round-trip", `solving ${w_id} after ${v_id} = ${solved[v_id]} gives ${back}, not ${solved[w_id]}`)
+      }
+    } catch (error) {
+      fail(v_id, "round-trip", error.message)
+    }
+  }
+
+  return failures
+}
+
+const validate = (source = data) => Object.entries(source).flatMap(([g_id, g]) =>
+  Object.entries(g.forms).flatMap(([f_id, f]) => check_form(g_id, f_id, f))
+)
+
+export {
+  DimensionError,
+  infer,
+  formula_tree,
+  check_form,
+  validate,
+}
@@ -0,0 +1,215 @@
+// The changes made to the forms, kept apart from data.mjs so they can be saved and restored.
+// Only forms that differ from their defaults are kept:
+//   {
+//     forms: { kepler: { order: ["P", "m1", "m2", "a"], propagation: "monte-carlo", digits: 8, pinned: ["m2"],
+//                        variables: { a: { value: 5.2 }, m1: { unit: "kilograms", uncertainty: "5%" } } } },
+//     links: [{ from: ["parallax", "d"], to: ["distance-modulus", "d"] }],
+//     unlinked: [["lookback-time", "z"]],
+//     constants: { presets: { hubble: "planck-2018" }, overrides: {} },
+//   }
+// Values are in the variable's default unit. The default links of data.mjs are always there
+// unless the variable they link to is listed in `unlinked`, so only other links are kept
+
+import { data, default_links, constants, constant_units } from "./data.mjs"
+import { assign, set_unit, solver_for, values_of } from "./engine.mjs"
+import { add_link } from "./chains.mjs"
+import { use, normalise, is_default } from "./constants.mjs"
+import { MAX_DIGITS } from "./display.mjs"
+import { convert } from "./units.mjs"
+
+// The values, units and order of every form, to compare against later
+const snapshot = (source = data) => Object.fromEntries(
+  Object.values(source).flatMap(group => Object.entries(group.forms)).map(([f_id, f]) => [f_id, {
+    order: [...f.order],
+    variables: Object.fromEntries(Object.entries(f.variables).map(([v_id, v]) =>
+      [v_id, { value: Number(v.value), unit: v.unit, constant: v.constant }]
+    )),
+  }])
+)
+
+const locate = (source, form_id) => {
+  for (const group_id in source)
+    if (Object.hasOwn(source[group_id].forms, form_id)) return group_id
+}
+
+// A variable's default value. One that names a `constant`, as H₀ does, takes it from the constant set in use
+const default_value = (d) => d.constant === undefined ? d.value
+  : convert(constants[d.constant], constant_units[d.constant], d.unit)
+
+// Values equal but for round-off, such as -4.999999999999998 recalculated from -5 through another unit
+const same_value = (a, b) => a === b || Math.abs(a - b) <= 1e-12 * Math.max(Math.abs(a), Math.abs(b))
+
+const capture_form = (form, defaults) => {
+  const variables = {}
+  form.order.forEach((v_id, i) => {
+    const v = form.variables[v_id], d = defaults.variables[v_id]
+    const changes = {}
+    // The first variable is calculated from the others
+    if (i > 0 && !same_value(Number(v.value), default_value(d))) changes.value = Number(v.value)
+    if (v.unit != d.unit) changes.unit = v.unit
+    if (v.uncertainty) changes.uncertainty = v.uncertainty
+    if (Object.keys(changes).length) variables[v_id] = changes
+  })
+  const changed = Object.keys(variables).length
+    || form.propagation == "monte-carlo"
+    || form.digits !== undefined
+    || form.pinned !== undefined
+    || form.order.join() != defaults.order.join()
+  return changed && {
+    order: [...form.order],
+    ...(form.propagation == "monte-carlo" && { propagation: form.propagation }),
+    ...(form.digits !== undefined && { digits: form.digits }),
+    ...(form.pinned !== undefined && { pinned: [...form.pinned] }),
+    variables,
+  }
+}
+
+const link_key = ({ from, to }) => [...from, ...to].join("/")
+
+const capture = (source, links, defaults, constants) => {
+  const saved = links.map(({ from, to }) => ({ from: from.slice(1), to: to.slice(1) }))
+  const kept = new Set(saved.map(link_key)), standing = new Set(default_links.map(link_key))
+  const unlinked = default_links.filter(link => !kept.has(link_key(link))).map(({ to }) => [...to])
+  return {
+    ...(constants && !is_default(constants) && { constants }),
+    forms: Object.fromEntries(Object.values(source)
+      .flatMap(group => Object.entries(group.forms))
+      .map(([f_id, f]) => [f_id, capture_form(f, defaults[f_id])])
+      .filter(([, changes]) => changes)
+    ),
+    links: saved.filter(link => !standing.has(link_key(link))),
+    ...(unlinked.length && { unlinked }),
+  }
+}
+
+// Put the forms back to their defaults, then apply the changes.
+// Forms, variables, units, links and constants that no longer exist are skipped.
+// Returns the links, the constant set, and the [group_id, form_id] of every form that was changed
+const apply = (changes, defaults, source = data) => {
+  const restored = []
+  const constants = normalise(typeof changes?.constants == "object" ? changes.constants : undefined)
+  use(constants)
+
+  for (const f_id in defaults) {
+    const form = source[locate(source, f_id)].forms[f_id]
+    form.order = [...defaults[f_id].order]
+    form.propagation = undefined
+    form.digits = undefined
+    form.pinned = undefined
+    for (const [v_id, d] of Object.entries(defaults[f_id].variables)) {
+      const v = form.variables[v_id]
+      v.unit = d.unit
+      v.uncertainty = undefined
+      assign(v, default_value(d))
+    }
+  }
+
+  for (const [f_id, saved] of Object.entries(changes?.forms ?? {})) {
+    const g_id = locate(source, f_id)
+    if (!g_id || typeof saved != "object" || !saved) continue
+    const form = source[g_id].forms[f_id]
+    const order = (Array.isArray(saved.order) ? saved.order : [])
+      .filter((v_id, i, all) => Object.hasOwn(form.variables, v_id) && all.indexOf(v_id) == i)
+    form.order = [...order, ...form.order.filter(v_id => !order.includes(v_id))]
+    if (saved.propagation == "monte-carlo") form.propagation = saved.propagation
+    const pinned = (Array.isArray(saved.pinned) ? saved.pinned : []).filter(v_id => Object.hasOwn(form.variables, v_id))
+    if (pinned.length) form.pinned = pinned
+    if (Number.isInteger(saved.digits) && saved.digits > 0 && saved.digits <= MAX_DIGITS) form.digits = saved.digits
+    for (const [v_id, changed] of Object.entries(saved.variables ?? {})) {
+      if (!Object.hasOwn(form.variables, v_id) || typeof changed != "object" || !changed) continue
+      const v = form.variables[v_id], { value, unit, uncertainty } = changed
+      try {
+        if (unit != undefined) set_unit(v, unit)
+      } catch {}
+      if (uncertainty != undefined) v.uncertainty = String(uncertainty)
+      assign(v, isFinite(value) && value !== null ? Number(value) : v.value)
+    }
+    restored.push([g_id, f_id])
+  }
+
+  // Calculate the first variable of every form, since the constants may have changed
+  for (const f_id in defaults) {
+    const form = source[locate(source, f_id)].forms[f_id]
+    assign(form.variables[form.order[0]], solver_for(form)(values_of(form)))
+  }
+
+  const unlinked = Array.isArray(changes?.unlinked) ? changes.unlinked : []
+  const standing = default_links.filter(({ to }) => !unlinked.some(end => Array.isArray(end) && end[0] == to[0] && end[1] == to[1]))
+  let links = []
+  for (const { from, to } of [...standing, ...(Array.isArray(changes?.links) ? changes.links : [])]) {
+    try {
+      links = add_link(links, [locate(source, from[0]), ...from], [locate(source, to[0]), ...to], source)
+    } catch {}
+  }
+
+  return { links, constants, restored }
+}
+
+// Saved workspaces carry the version they were saved with.
+// migrations[n - 1] upgrades a workspace from version n to n + 1, for instance
+// after a form or variable in data.mjs is renamed:
+//   (saved) => rename_variable(rename_form(saved, "old-form", "new-form"), "new-form", "x", "y")
+const migrations = []
+const VERSION = migrations.length + 1
+
+const rename_form = (saved, from, to) => ({
+  ...saved,
+  forms: Object.fromEntries(Object.entries(saved.forms ?? {}).map(([f_id, f]) => [f_id == from ? to : f_id, f])),
+  links: (saved.links ?? []).map(link => Object.fromEntries(Object.entries(link).map(([end, [f_id, v_id]]) =>
+    [end, [f_id == from ? to : f_id, v_id]]
+  ))),
+  unlinked: (saved.unlinked ?? []).map(([f_id, v_id]) => [f_id == from ? to : f_id, v_id]),
+  open: (saved.open ?? []).map(f_id => f_id == from ? to : f_id),
+})
+
+const rename_variable = (saved, form_id, from, to) => ({
+  ...saved,
+  forms: Object.fromEntries(Object.entries(saved.forms ?? {}).map(([f_id, f]) => [f_id, f_id != form_id ? f : {
+    ...f,
+    order: (f.order ?? []).map(v_id => v_id == from ? to : v_id),
+    variables: Object.fromEntries(Object.entries(f.variables ?? {}).map(([v_id, v]) => [v_id == from ? to : v_id, v])),
+  }])),
+  links: (saved.links ?? []).map(link => Object.fromEntries(Object.entries(link).map(([end, [f_id, v_id]]) =>
+    [end, [f_id, f_id == form_id && v_id == from ? to : v_id]]
+  ))),
+  unlinked: (saved.unlinked ?? []).map(([f_id, v_id]) => [f_id, f_id == form_id && v_id == from ? to : v_id]),
+})
+
+// Bring a saved workspace up to the current version.
+// Returns undefined for anything that can't be read, including workspaces from a newer version
+const migrate = (saved) => {
+  if (typeof saved != "object" || !saved || !Number.isInteger(saved.version)) return
+  if (saved.version < 1 || saved.version > VERSION) return
+  for (let version = saved.version; version < VERSION; version++)
+    saved = migrations[version - 1](saved)
+  return { ...saved, version: VERSION }
+}
+
+const KEY = "astroformulatron"
+
+// Storage can be missing, forbidden or unreadable, in which case nothing is restored
+const load = (storage = globalThis.localStorage) => {
+  try {
+    return migrate(JSON.parse(storage.getItem(KEY)))
+  } catch {
+    return undefined
+  }
+}
+
+// Throws when storage is missing, forbidden or full, for the caller to say so
+const save = (workspace, storage = globalThis.localStorage) => {
+  storage.setItem(KEY, JSON.stringify({ version: VERSION, ...workspace }))
+}
+
+export {
+  VERSION,
+  snapshot,
+  capture,
+  apply,
+  migrations,
+  rename_form,
+  rename_variable,
+  migrate,
+  load,
+  save,
+}